@@ -0,0 +1,170 @@
+/**
+ * EchoNate v2.0 - Approvals Inbox
+ * SM-001 confirmations are decided here, outside any page the request came from
+ */
+
+const STORAGE_KEY = 'approvalQueue';
+const DEFAULT_TTL_MS = 2 * 60 * 1000;
+const DECIDED_HISTORY = 20; // Recent decisions kept so late AWAIT_APPROVAL calls still resolve
+
+export class ApprovalQueue {
+    constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+        this.ttlMs = ttlMs;
+        this.approvals = new Map();
+        this.waiters = new Map();
+        this.timers = new Map();
+        this.onDecision = null; // (approval) => void, set by the core for audit logging
+    }
+    
+    async initialize() {
+        // Session storage survives service worker restarts but not browser restarts
+        const stored = await chrome.storage.session.get([STORAGE_KEY]);
+        for (const approval of stored[STORAGE_KEY] || []) {
+            this.approvals.set(approval.id, approval);
+            if (approval.status === 'pending') this.scheduleExpiry(approval);
+        }
+        
+        this.updateBadge();
+    }
+    
+    handleNotificationClick(notificationId, buttonIndex) {
+        if (!this.approvals.has(notificationId)) return;
+        this.resolve(notificationId, buttonIndex === 0, 'notification')
+            .catch(error => console.warn('⚠️  Approval from notification ignored:', error.message));
+    }
+    
+    handleTabRemoved(tabId) {
+        // A closed tab can no longer act on its approval
+        for (const approval of this.listPending()) {
+            if (approval.origin.tabId === tabId) this.expire(approval.id, 'tab_closed');
+        }
+    }
+    
+    async create({ action, prompt, details, issues = [], correlationId, origin }) {
+        const now = Date.now();
+        const approval = {
+            id: `apr_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            action,
+            prompt,
+            details,
+            issues, // [{ field, message }] the requester found and the user should weigh
+            correlationId,
+            origin,
+            status: 'pending',
+            createdAt: now,
+            expiresAt: now + this.ttlMs
+        };
+        
+        this.approvals.set(approval.id, approval);
+        this.scheduleExpiry(approval);
+        await this.persist();
+        
+        chrome.notifications.create(approval.id, {
+            type: 'basic',
+            iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+            title: 'EchoNate needs your approval',
+            message: `${prompt}\n${origin.url ? new URL(origin.url).hostname : 'Unknown page'}`,
+            buttons: [{ title: 'Approve' }, { title: 'Deny' }],
+            requireInteraction: true
+        });
+        
+        return approval;
+    }
+    
+    get(id) {
+        return this.approvals.get(id) || null;
+    }
+    
+    listPending() {
+        return [...this.approvals.values()]
+            .filter(approval => approval.status === 'pending')
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+    
+    async resolve(id, approved, via) {
+        const approval = this.approvals.get(id);
+        
+        if (!approval) {
+            throw new Error('Unknown approval');
+        }
+        
+        if (approval.status !== 'pending') {
+            throw new Error(`Approval already ${approval.status}`);
+        }
+        
+        return this.settle(approval, approved ? 'approved' : 'denied', via);
+    }
+    
+    async expire(id, reason = 'timeout') {
+        const approval = this.approvals.get(id);
+        if (!approval || approval.status !== 'pending') return null;
+        
+        return this.settle(approval, 'expired', reason);
+    }
+    
+    waitFor(id) {
+        const approval = this.approvals.get(id);
+        
+        if (!approval) {
+            return Promise.reject(new Error('Unknown approval'));
+        }
+        
+        if (approval.status !== 'pending') {
+            return Promise.resolve(approval);
+        }
+        
+        return new Promise((resolve) => {
+            const waiters = this.waiters.get(id) || [];
+            waiters.push(resolve);
+            this.waiters.set(id, waiters);
+        });
+    }
+    
+    async settle(approval, status, via) {
+        approval.status = status;
+        approval.decidedAt = Date.now();
+        approval.decidedVia = via;
+        
+        clearTimeout(this.timers.get(approval.id));
+        this.timers.delete(approval.id);
+        chrome.notifications.clear(approval.id);
+        
+        for (const resolve of this.waiters.get(approval.id) || []) {
+            resolve(approval);
+        }
+        this.waiters.delete(approval.id);
+        
+        this.prune();
+        await this.persist();
+        
+        if (this.onDecision) this.onDecision(approval);
+        
+        return approval;
+    }
+    
+    scheduleExpiry(approval) {
+        const delay = Math.max(0, approval.expiresAt - Date.now());
+        this.timers.set(approval.id, setTimeout(() => this.expire(approval.id), delay));
+    }
+    
+    prune() {
+        const decided = [...this.approvals.values()]
+            .filter(approval => approval.status !== 'pending')
+            .sort((a, b) => b.decidedAt - a.decidedAt);
+        
+        for (const approval of decided.slice(DECIDED_HISTORY)) {
+            this.approvals.delete(approval.id);
+        }
+    }
+    
+    async persist() {
+        await chrome.storage.session.set({ [STORAGE_KEY]: [...this.approvals.values()] });
+        this.updateBadge();
+    }
+    
+    updateBadge() {
+        const pending = this.listPending().length;
+        chrome.action.setBadgeBackgroundColor({ color: '#F44336' });
+        chrome.action.setBadgeText({ text: pending ? String(pending) : '' });
+    }
+}
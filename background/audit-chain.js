@@ -0,0 +1,76 @@
+/**
+ * EchoNate v2.0 - Audit Hash Chain
+ * SHA-256 linking of audit events so edits and deletions are detectable
+ */
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+export function canonicalize(value) {
+    // Stable key order so the same event always hashes the same way
+    return JSON.stringify(sortKeys(value));
+}
+
+function sortKeys(value) {
+    if (value && typeof value.toJSON === 'function') return value.toJSON();
+    if (Array.isArray(value)) return value.map(sortKeys);
+    
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = sortKeys(value[key]);
+            return sorted;
+        }, {});
+    }
+    
+    return value;
+}
+
+export async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function hashEvent(event) {
+    // Everything except the hash itself, including the link to the previous event
+    const { hash, ...content } = event;
+    return sha256Hex(canonicalize(content));
+}
+
+export async function chainEvent(event, prevHash) {
+    event.prevHash = prevHash || GENESIS_HASH;
+    event.hash = await hashEvent(event);
+    return event;
+}
+
+export async function verifyChain(events, anchorHash = GENESIS_HASH) {
+    let expectedPrev = anchorHash;
+    
+    for (let index = 0; index < events.length; index++) {
+        const event = events[index];
+        let reason = null;
+        
+        if (!event.hash) {
+            reason = 'Event has no hash';
+        } else if (event.prevHash !== expectedPrev) {
+            reason = 'Previous-hash link does not match (event inserted, removed or reordered)';
+        } else if (await hashEvent(event) !== event.hash) {
+            reason = 'Event content does not match its hash (event modified)';
+        }
+        
+        if (reason) {
+            return {
+                valid: false,
+                checked: index,
+                brokenAt: { index, id: event.id, reason }
+            };
+        }
+        
+        expectedPrev = event.hash;
+    }
+    
+    return {
+        valid: true,
+        checked: events.length,
+        brokenAt: null,
+        headHash: expectedPrev
+    };
+}
@@ -0,0 +1,125 @@
+/**
+ * EchoNate v2.0 - Audit Export Formats
+ * NDJSON, CSV and self-contained HTML renderings of audit events
+ */
+
+import { getEventDomain } from './audit-store.js';
+
+export const EXPORT_FORMATS = {
+    json: { mimeType: 'application/json', extension: 'json' },
+    ndjson: { mimeType: 'application/x-ndjson', extension: 'ndjson' },
+    csv: { mimeType: 'text/csv', extension: 'csv' },
+    html: { mimeType: 'text/html', extension: 'html' }
+};
+
+const CSV_COLUMNS = ['id', 'timestamp', 'action', 'mode', 'safetyLevel', 'domain', 'details', 'hash'];
+
+export function toNDJSON(events) {
+    // One event per line for log pipelines
+    return events.map(event => JSON.stringify(event)).join('\n') + (events.length ? '\n' : '');
+}
+
+export function toCSV(events) {
+    const rows = events.map(event => [
+        event.id,
+        event.timestamp,
+        event.action,
+        event.mode,
+        event.safetyLevel,
+        getEventDomain(event) || '',
+        JSON.stringify(event.details ?? {}),
+        event.hash || ''
+    ]);
+    
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+export function toHTMLReport(events, meta) {
+    const byAction = countBy(events, event => event.action);
+    const bySite = countBy(events, event => getEventDomain(event) || '(no site)');
+    
+    const summaryTable = (title, counts) => `
+        <h2>${escapeHTML(title)}</h2>
+        <table>
+            <thead><tr><th>${escapeHTML(title.replace('By ', ''))}</th><th>Events</th></tr></thead>
+            <tbody>
+                ${counts.map(([key, count]) => `<tr><td>${escapeHTML(key)}</td><td>${count}</td></tr>`).join('')}
+            </tbody>
+        </table>`;
+    
+    const eventRows = events.map(event => `
+                <tr>
+                    <td>${escapeHTML(event.timestamp)}</td>
+                    <td>${escapeHTML(event.action)}</td>
+                    <td>${escapeHTML(event.mode)}</td>
+                    <td>${escapeHTML(event.safetyLevel)}</td>
+                    <td>${escapeHTML(getEventDomain(event) || '')}</td>
+                    <td><code>${escapeHTML(JSON.stringify(event.details ?? {}))}</code></td>
+                </tr>`).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>EchoNate Audit Report</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 40px; color: #333; }
+        h1 { color: #667eea; }
+        h2 { margin-top: 32px; font-size: 18px; }
+        .meta { color: #666; font-size: 14px; line-height: 1.6; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; margin-top: 8px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+        th { background: #f5f5f5; }
+        code { font-size: 12px; word-break: break-all; }
+    </style>
+</head>
+<body>
+    <h1>EchoNate Audit Report</h1>
+    <div class="meta">
+        Generated: ${escapeHTML(meta.exportedAt)}<br>
+        Range: ${escapeHTML(meta.range.from || '—')} to ${escapeHTML(meta.range.to || '—')}<br>
+        Events: ${events.length}<br>
+        Filters: ${escapeHTML(Object.keys(meta.filters || {}).length ? JSON.stringify(meta.filters) : 'none')}<br>
+        Signing key fingerprint: <code>${escapeHTML(meta.keyFingerprint)}</code> (use the JSON export for verifiable evidence)
+    </div>
+    ${summaryTable('By Action', byAction)}
+    ${summaryTable('By Site', bySite)}
+    <h2>Events</h2>
+    <table>
+        <thead>
+            <tr><th>Time</th><th>Action</th><th>Mode</th><th>Safety</th><th>Site</th><th>Details</th></tr>
+        </thead>
+        <tbody>${eventRows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+function countBy(events, keyFn) {
+    const counts = new Map();
+    for (const event of events) {
+        const key = keyFn(event);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+function csvCell(value) {
+    let text = String(value ?? '');
+    
+    // Keep spreadsheets from evaluating logged page data as formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
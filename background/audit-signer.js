@@ -0,0 +1,135 @@
+/**
+ * EchoNate v2.0 - Audit Export Signer
+ * ECDSA P-256 signatures over audit exports, verifiable offline
+ */
+
+import { canonicalize, sha256Hex } from './audit-chain.js';
+
+export const EXPORT_FORMAT = 'echonate-audit-export';
+export const EXPORT_VERSION = 1;
+
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+// The private key is a non-extractable CryptoKey; IndexedDB keeps it without exposing its bytes
+const DB_NAME = 'echonate-keys';
+const DB_VERSION = 1;
+const KEY_ID = 'auditSigning';
+
+export class AuditSigner {
+    constructor() {
+        this.privateKey = null;
+        this.publicJwk = null;
+        this.fingerprint = null;
+        this.createdAt = null;
+        this.replacedFingerprint = null; // Set when a key from an older release was discarded
+    }
+    
+    async initialize() {
+        const db = await openKeyDatabase();
+        let keyPair = await promisify(db.transaction('keys').objectStore('keys').get(KEY_ID));
+        
+        // Older releases kept the private key as a JWK in chrome.storage.local, readable by
+        // anything with storage access. It cannot be trusted any more, so it is replaced.
+        const { auditSigningKey: legacy } = await chrome.storage.local.get(['auditSigningKey']);
+        if (legacy) {
+            this.replacedFingerprint = await getKeyFingerprint(legacy.publicJwk);
+            await chrome.storage.local.remove('auditSigningKey');
+        }
+        
+        if (!keyPair) {
+            // Generated once per install; the public half travels with every export
+            const generated = await crypto.subtle.generateKey(SIGNING_ALGORITHM, false, ['sign', 'verify']);
+            
+            keyPair = {
+                privateKey: generated.privateKey,
+                publicJwk: await crypto.subtle.exportKey('jwk', generated.publicKey),
+                createdAt: Date.now()
+            };
+            
+            const tx = db.transaction('keys', 'readwrite');
+            tx.objectStore('keys').put(keyPair, KEY_ID);
+            await transactionDone(tx);
+        }
+        
+        db.close();
+        
+        this.privateKey = keyPair.privateKey;
+        this.publicJwk = keyPair.publicJwk;
+        this.createdAt = keyPair.createdAt;
+        this.fingerprint = await getKeyFingerprint(this.publicJwk);
+    }
+    
+    describe() {
+        return { fingerprint: this.fingerprint, createdAt: this.createdAt };
+    }
+    
+    async createSignedExport(events, extra = {}) {
+        const timestamps = events.map(e => e.timestamp);
+        
+        const payload = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            range: {
+                from: timestamps.length ? timestamps[0] : null,
+                to: timestamps.length ? timestamps[timestamps.length - 1] : null
+            },
+            eventCount: events.length,
+            ...extra,
+            publicKey: this.publicJwk,
+            keyFingerprint: this.fingerprint,
+            events
+        };
+        
+        const signature = await crypto.subtle.sign(
+            SIGNATURE_PARAMS,
+            this.privateKey,
+            new TextEncoder().encode(canonicalize(payload))
+        );
+        
+        return {
+            ...payload,
+            signature: {
+                algorithm: 'ECDSA-P256-SHA256',
+                value: toBase64(new Uint8Array(signature))
+            }
+        };
+    }
+}
+
+export async function getKeyFingerprint(publicJwk) {
+    // Only the public coordinates, so the fingerprint is independent of JWK extras
+    const { crv, kty, x, y } = publicJwk;
+    return sha256Hex(canonicalize({ crv, kty, x, y }));
+}
+
+function openKeyDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore('keys');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+}
@@ -0,0 +1,380 @@
+/**
+ * EchoNate v2.0 - Audit Store
+ * IndexedDB-backed audit trail with retention, rotation and quota reporting
+ */
+
+import { GENESIS_HASH } from './audit-chain.js';
+
+const DB_NAME = 'echonate-audit';
+const DB_VERSION = 1;
+const QUOTA_WARNING_RATIO = 0.8;
+
+export class AuditStore {
+    constructor() {
+        this.db = null;
+        this.count = 0;
+        this.head = null;               // Most recent stored record
+        this.anchorHash = GENESIS_HASH; // Hash of the last archived event
+    }
+    
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                
+                // Records wrap the hashed event so derived fields never touch its hash
+                const events = db.createObjectStore('events', { keyPath: 'seq' });
+                events.createIndex('id', 'event.id', { unique: true });
+                events.createIndex('timestamp', 'event.timestamp');
+                events.createIndex('action', 'event.action');
+                events.createIndex('domain', 'domain');
+                
+                db.createObjectStore('archives', { keyPath: 'segmentId' });
+                db.createObjectStore('meta');
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        const tx = this.db.transaction(['events', 'meta'], 'readonly');
+        this.count = await promisify(tx.objectStore('events').count());
+        this.head = await firstRecord(tx.objectStore('events'), 'prev');
+        this.anchorHash = (await promisify(tx.objectStore('meta').get('anchorHash'))) || GENESIS_HASH;
+    }
+    
+    getHeadHash() {
+        return this.head ? this.head.event.hash : this.anchorHash;
+    }
+    
+    async append(event) {
+        const record = {
+            seq: (this.head?.seq || 0) + 1,
+            domain: getEventDomain(event),
+            event
+        };
+        
+        const tx = this.db.transaction('events', 'readwrite');
+        tx.objectStore('events').add(record);
+        await transactionDone(tx);
+        
+        this.head = record;
+        this.count++;
+    }
+    
+    async importEvents(events) {
+        // Bulk load used when moving events out of chrome.storage.local
+        const tx = this.db.transaction('events', 'readwrite');
+        const store = tx.objectStore('events');
+        let seq = this.head?.seq || 0;
+        
+        for (const event of events) {
+            const record = { seq: ++seq, domain: getEventDomain(event), event };
+            store.add(record);
+            this.head = record;
+        }
+        
+        await transactionDone(tx);
+        this.count += events.length;
+    }
+    
+    async getAll() {
+        const tx = this.db.transaction('events', 'readonly');
+        const records = await promisify(tx.objectStore('events').getAll());
+        return records.map(record => record.event);
+    }
+    
+    async getEvents(filters = {}) {
+        const store = this.db.transaction('events', 'readonly').objectStore('events');
+        const records = [];
+        const collect = record => {
+            if (matchesFilters(record, filters)) records.push(record);
+        };
+        
+        // An index narrows the scan where one applies; the other filters run per record
+        if (filters.actions?.length) {
+            for (const action of new Set(filters.actions)) {
+                await iterateRecords(store.index('action'), IDBKeyRange.only(action), 'next', collect);
+            }
+        } else if (filters.from || filters.to) {
+            await iterateRecords(store.index('timestamp'), getTimeRange(filters), 'next', collect);
+        } else {
+            await iterateRecords(store, null, 'next', collect);
+        }
+        
+        // Chain order, whichever index supplied the records
+        return records
+            .sort((a, b) => a.seq - b.seq)
+            .map(record => record.event);
+    }
+    
+    /**
+     * One page of entries, newest first, with facet counts over every match. Records are
+     * read through a cursor and only the requested page is kept.
+     */
+    async search({ text, action, mode, safetyLevel, domain, page = 1, pageSize = 50 }) {
+        const store = this.db.transaction('events', 'readonly').objectStore('events');
+        const needle = (text || '').toLowerCase();
+        const start = (page - 1) * pageSize;
+        
+        const facets = { action: {}, mode: {}, safetyLevel: {}, domain: {} };
+        const entries = [];
+        const groups = new Map(); // correlationId -> entry on this page, or null when off the page
+        let total = 0;
+        let totalEvents = 0;
+        
+        const visit = record => {
+            const { event } = record;
+            
+            if (needle && !JSON.stringify(event).toLowerCase().includes(needle)) return;
+            if (action && event.action !== action) return;
+            if (mode && event.mode !== mode) return;
+            if (safetyLevel && event.safetyLevel !== safetyLevel) return;
+            if (domain && record.domain !== domain) return;
+            
+            totalEvents++;
+            
+            const values = {
+                action: event.action,
+                mode: event.mode,
+                safetyLevel: event.safetyLevel,
+                domain: record.domain
+            };
+            
+            for (const [facet, value] of Object.entries(values)) {
+                if (value) facets[facet][value] = (facets[facet][value] || 0) + 1;
+            }
+            
+            // Correlated events collapse into one entry, placed at the newest member
+            const entry = { ...event, domain: record.domain };
+            
+            if (event.correlationId && groups.has(event.correlationId)) {
+                groups.get(event.correlationId)?.events.unshift(entry);
+                return;
+            }
+            
+            const onPage = total >= start && total < start + pageSize;
+            total++;
+            
+            if (!event.correlationId) {
+                if (onPage) entries.push({ events: [entry] });
+                return;
+            }
+            
+            const group = onPage ? { correlationId: event.correlationId, events: [entry] } : null;
+            groups.set(event.correlationId, group);
+            if (group) entries.push(group);
+        };
+        
+        if (action) {
+            await iterateRecords(store.index('action'), IDBKeyRange.only(action), 'prev', visit);
+        } else if (domain) {
+            await iterateRecords(store.index('domain'), IDBKeyRange.only(domain), 'prev', visit);
+        } else {
+            await iterateRecords(store, null, 'prev', visit);
+        }
+        
+        return {
+            entries,
+            total,
+            totalEvents,
+            page,
+            pageSize,
+            facets
+        };
+    }
+    
+    async enforceRetention({ maxAgeDays, maxEvents }) {
+        // Oldest events past either limit move into an archived segment
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+        const overflow = maxEvents > 0 ? Math.max(0, this.count - maxEvents) : 0;
+        
+        const tx = this.db.transaction(['events', 'archives', 'meta'], 'readwrite');
+        const events = tx.objectStore('events');
+        const rotated = [];
+        
+        await new Promise((resolve, reject) => {
+            const request = events.openCursor();
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                
+                const { event } = cursor.value;
+                const expired = cutoff !== null && Date.parse(event.timestamp) < cutoff;
+                
+                if (!expired && rotated.length >= overflow) return resolve();
+                
+                rotated.push(event);
+                cursor.delete();
+                cursor.continue();
+            };
+            
+            request.onerror = () => reject(request.error);
+        });
+        
+        if (rotated.length === 0) {
+            tx.abort();
+            return null;
+        }
+        
+        const segment = {
+            segmentId: `seg_${Date.now()}`,
+            archivedAt: new Date().toISOString(),
+            from: rotated[0].timestamp,
+            to: rotated[rotated.length - 1].timestamp,
+            eventCount: rotated.length,
+            anchorHash: this.anchorHash,
+            lastHash: rotated[rotated.length - 1].hash,
+            events: rotated
+        };
+        
+        tx.objectStore('archives').add(segment);
+        tx.objectStore('meta').put(segment.lastHash, 'anchorHash');
+        await transactionDone(tx);
+        
+        this.count -= rotated.length;
+        this.anchorHash = segment.lastHash;
+        if (this.count === 0) this.head = null;
+        
+        const { events: _, ...summary } = segment;
+        return summary;
+    }
+    
+    async listArchives() {
+        const tx = this.db.transaction('archives', 'readonly');
+        const segments = await promisify(tx.objectStore('archives').getAll());
+        return segments.map(({ events, ...summary }) => summary);
+    }
+    
+    async getArchive(segmentId) {
+        const tx = this.db.transaction('archives', 'readonly');
+        return (await promisify(tx.objectStore('archives').get(segmentId))) || null;
+    }
+    
+    async markArchiveExported(segmentId) {
+        const tx = this.db.transaction('archives', 'readwrite');
+        const archives = tx.objectStore('archives');
+        const segment = await promisify(archives.get(segmentId));
+        if (!segment) return null;
+        
+        segment.exportedAt = new Date().toISOString();
+        archives.put(segment);
+        await transactionDone(tx);
+        
+        const { events, ...summary } = segment;
+        return summary;
+    }
+    
+    /**
+     * Frees the space held by an archived segment. Only exported segments can be deleted,
+     * so rotated events always leave a copy the user kept.
+     */
+    async deleteArchive(segmentId) {
+        const tx = this.db.transaction('archives', 'readwrite');
+        const archives = tx.objectStore('archives');
+        const segment = await promisify(archives.get(segmentId));
+        
+        if (!segment) {
+            tx.abort();
+            throw new Error('Unknown archive segment');
+        }
+        
+        if (!segment.exportedAt) {
+            tx.abort();
+            throw new Error('Export the archive segment before deleting it');
+        }
+        
+        archives.delete(segmentId);
+        await transactionDone(tx);
+        
+        const { events, ...summary } = segment;
+        return summary;
+    }
+    
+    async estimateQuota() {
+        if (!navigator.storage?.estimate) return null;
+        
+        const { usage, quota } = await navigator.storage.estimate();
+        const ratio = quota ? usage / quota : 0;
+        
+        return {
+            usage,
+            quota,
+            ratio,
+            warning: ratio >= QUOTA_WARNING_RATIO
+        };
+    }
+}
+
+export function getEventDomain(event) {
+    const details = event.details;
+    
+    try {
+        return details?.url ? new URL(details.url).hostname : (details?.site || null);
+    } catch (error) {
+        return null;
+    }
+}
+
+function matchesFilters(record, { from, to, actions, domain, mode }) {
+    const { event } = record;
+    
+    if (from && event.timestamp < from) return false;
+    if (to && event.timestamp > to) return false;
+    if (actions?.length && !actions.includes(event.action)) return false;
+    if (mode && event.mode !== mode) return false;
+    
+    // A domain filter also matches its subdomains
+    if (domain) {
+        const host = record.domain || '';
+        if (host !== domain && !host.endsWith(`.${domain}`)) return false;
+    }
+    
+    return true;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function getTimeRange({ from, to }) {
+    if (from && to) return IDBKeyRange.bound(from, to);
+    return from ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+}
+
+function iterateRecords(source, range, direction, visit) {
+    return new Promise((resolve, reject) => {
+        const request = source.openCursor(range, direction);
+        
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve();
+            
+            visit(cursor.value);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function firstRecord(store, direction) {
+    return new Promise((resolve, reject) => {
+        const request = store.openCursor(null, direction);
+        request.onsuccess = () => resolve(request.result ? request.result.value : null);
+        request.onerror = () => reject(request.error);
+    });
+}
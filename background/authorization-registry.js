@@ -0,0 +1,139 @@
+/**
+ * EchoNate v2.0 - Authorization Registry
+ * Sites the user is authorized on, and which advanced features may run there
+ */
+
+import { isPublicSuffix, matchesHostPattern } from './domain-utils.js';
+
+const STORAGE_KEY = 'authorizations';
+
+export const AUTHORIZATION_FEATURES = {
+    form_fill: 'Form fill',
+    session_sync: 'Session sync'
+};
+
+export class AuthorizationRegistry {
+    constructor() {
+        this.entries = [];
+    }
+    
+    async initialize() {
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        
+        // Features that were dropped no longer authorize anything, and would fail validation on edit
+        this.entries = (stored[STORAGE_KEY] || []).map(entry => ({
+            ...entry,
+            features: entry.features.filter(feature => AUTHORIZATION_FEATURES[feature])
+        }));
+    }
+    
+    list() {
+        return [...this.entries].sort((a, b) => a.pattern.localeCompare(b.pattern));
+    }
+    
+    /**
+     * Creates an entry, or replaces the one with the same id. Throws when the entry is invalid.
+     * Returns { entry, created }.
+     */
+    async save(input) {
+        const errors = validateEntry(input);
+        if (errors.length) {
+            throw new Error(errors.join('; '));
+        }
+        
+        const existing = input.id && this.entries.find(entry => entry.id === input.id);
+        const entry = {
+            id: existing ? existing.id : `auth_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            pattern: input.pattern.trim().toLowerCase(),
+            owner: (input.owner || '').trim(),
+            reference: (input.reference || '').trim(),
+            validFrom: input.validFrom,
+            validUntil: input.validUntil,
+            features: [...new Set(input.features)],
+            createdAt: existing ? existing.createdAt : Date.now(),
+            updatedAt: Date.now()
+        };
+        
+        this.entries = existing
+            ? this.entries.map(current => current.id === entry.id ? entry : current)
+            : [...this.entries, entry];
+        await this.persist();
+        
+        return { entry, created: !existing };
+    }
+    
+    async remove(id) {
+        const entry = this.entries.find(current => current.id === id);
+        if (!entry) return null;
+        
+        this.entries = this.entries.filter(current => current.id !== id);
+        await this.persist();
+        
+        return entry;
+    }
+    
+    /**
+     * Entries covering `url` whose validity window includes `at`.
+     */
+    findActive(url, at = Date.now()) {
+        let host;
+        try {
+            host = new URL(url).hostname;
+        } catch (error) {
+            return [];
+        }
+        
+        // Entries saved before suffix patterns were refused still must not cover a whole suffix
+        return this.entries.filter(entry =>
+            entry.validFrom <= at && at < entry.validUntil &&
+            !namesPublicSuffix(entry.pattern) && matchesHostPattern(entry.pattern, host));
+    }
+    
+    /**
+     * The first active entry that permits `feature` on `url`, or null.
+     */
+    find(url, feature) {
+        return this.findActive(url).find(entry => entry.features.includes(feature)) || null;
+    }
+    
+    async persist() {
+        await chrome.storage.local.set({ [STORAGE_KEY]: this.entries });
+    }
+}
+
+function validateEntry(entry) {
+    const errors = [];
+    
+    if (typeof entry?.pattern !== 'string' || !/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(entry.pattern.trim())) {
+        errors.push('Domain pattern must be a host such as example.com or a wildcard such as *.example.com');
+    } else if (namesPublicSuffix(entry.pattern.trim().toLowerCase())) {
+        errors.push(`Domain pattern ${entry.pattern.trim()} is a public suffix shared by unrelated sites; name a site such as example.com`);
+    }
+    
+    if (!String(entry?.owner || '').trim() && !String(entry?.reference || '').trim()) {
+        errors.push('An owner or an engagement reference is required');
+    }
+    
+    if (!Number.isFinite(entry?.validFrom) || !Number.isFinite(entry?.validUntil)) {
+        errors.push('Validity window needs a start and an end');
+    } else if (entry.validUntil <= entry.validFrom) {
+        errors.push('Validity window must end after it starts');
+    }
+    
+    const features = Array.isArray(entry?.features) ? entry.features : [];
+    if (!features.length || features.some(feature => !AUTHORIZATION_FEATURES[feature])) {
+        errors.push(`Features must be one or more of: ${Object.keys(AUTHORIZATION_FEATURES).join(', ')}`);
+    }
+    
+    return errors;
+}
+
+/**
+ * True when `pattern` names a public suffix, such as *.com, co.uk or *.github.io, rather
+ * than a site. A bare single-label host such as localhost names one machine and is allowed.
+ */
+function namesPublicSuffix(pattern) {
+    const wildcard = pattern.startsWith('*.');
+    const base = wildcard ? pattern.slice(2) : pattern;
+    return isPublicSuffix(base) && (wildcard || base.includes('.'));
+}
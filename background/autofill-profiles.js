@@ -0,0 +1,201 @@
+/**
+ * EchoNate v2.0 - Autofill Profiles
+ * Named sets of contact and address details, encrypted with the credential vault key
+ */
+
+const STORAGE_KEY = 'autofillProfiles';
+
+export const PROFILE_KINDS = {
+    personal: 'Personal',
+    work: 'Work',
+    shipping: 'Shipping',
+    billing: 'Billing contact'
+};
+
+// Keys are HTML autocomplete tokens, so pages that declare them match directly
+export const PROFILE_FIELDS = {
+    'given-name': 'First name',
+    'family-name': 'Last name',
+    'email': 'Email',
+    'tel': 'Phone',
+    'organization': 'Company',
+    'address-line1': 'Address line 1',
+    'address-line2': 'Address line 2',
+    'address-level2': 'City',
+    'address-level1': 'State / region',
+    'postal-code': 'Postal code',
+    'country': 'Country'
+};
+
+const ADDRESS_FIELDS = ['address-line1', 'address-line2', 'address-level2', 'address-level1', 'postal-code', 'country'];
+const NAME_FIELDS = ['given-name', 'family-name'];
+
+/**
+ * Which profile fields each form type may receive, the ones a profile needs before it
+ * is offered, and the kinds listed first. Login forms are filled from credentials, search
+ * forms need nothing, and card details are never stored, so payment forms only get the billing contact.
+ */
+export const FORM_TYPE_FIELDS = {
+    address: {
+        fields: [...NAME_FIELDS, 'organization', 'tel', ...ADDRESS_FIELDS],
+        requires: ['address-line1', 'address-level2', 'postal-code'],
+        prefers: ['shipping', 'personal']
+    },
+    'checkout-shipping': {
+        fields: [...NAME_FIELDS, 'email', 'tel', 'organization', ...ADDRESS_FIELDS],
+        requires: [...NAME_FIELDS, 'address-line1', 'address-level2', 'postal-code'],
+        prefers: ['shipping']
+    },
+    payment: {
+        fields: [...NAME_FIELDS, 'email', 'tel', ...ADDRESS_FIELDS],
+        requires: [...NAME_FIELDS],
+        prefers: ['billing']
+    },
+    signup: {
+        fields: [...NAME_FIELDS, 'email', 'tel'],
+        requires: ['email'],
+        prefers: ['personal']
+    },
+    contact: {
+        fields: [...NAME_FIELDS, 'email', 'tel', 'organization'],
+        requires: ['email'],
+        prefers: ['personal', 'work']
+    },
+    generic: {
+        fields: [...NAME_FIELDS, 'email', 'tel', 'organization'],
+        requires: ['email'],
+        prefers: ['personal', 'work']
+    }
+};
+
+export class ProfileStore {
+    constructor(vault) {
+        this.vault = vault;
+        this.entries = [];
+    }
+    
+    async initialize() {
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        this.entries = stored[STORAGE_KEY] || [];
+    }
+    
+    /**
+     * Metadata only; values stay encrypted. `fields` names the filled fields, not their values.
+     */
+    list() {
+        return this.entries
+            .map(({ encrypted, ...meta }) => meta)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * The profile with its decrypted values, limited to `fields` when given. Needs an unlocked vault.
+     */
+    async get(id, fields = null) {
+        const entry = this.entries.find(current => current.id === id);
+        if (!entry) return null;
+        
+        const values = await this.vault.decrypt(entry.encrypted);
+        const { encrypted, ...meta } = entry;
+        
+        return {
+            ...meta,
+            values: fields
+                ? Object.fromEntries(Object.entries(values).filter(([key]) => fields.includes(key)))
+                : values
+        };
+    }
+    
+    /**
+     * Creates a profile, or replaces the one with the same id. Throws when the input is invalid.
+     * Returns { entry, created } with `entry` as metadata.
+     */
+    async save(input) {
+        const errors = validateProfile(input);
+        if (errors.length) {
+            throw new Error(errors.join('; '));
+        }
+        
+        // Empty fields are dropped so `fields` reflects what can actually be filled
+        const values = Object.fromEntries(Object.entries(input.values)
+            .map(([key, value]) => [key, String(value ?? '').trim()])
+            .filter(([, value]) => value));
+        
+        const existing = input.id && this.entries.find(entry => entry.id === input.id);
+        const entry = {
+            id: existing ? existing.id : `prof_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: input.name.trim(),
+            kind: input.kind,
+            fields: Object.keys(values),
+            encrypted: await this.vault.encrypt(values),
+            createdAt: existing ? existing.createdAt : Date.now(),
+            updatedAt: Date.now()
+        };
+        
+        this.entries = existing
+            ? this.entries.map(current => current.id === entry.id ? entry : current)
+            : [...this.entries, entry];
+        await this.persist();
+        
+        const { encrypted, ...meta } = entry;
+        return { entry: meta, created: !existing };
+    }
+    
+    async remove(id) {
+        const entry = this.entries.find(current => current.id === id);
+        if (!entry) return null;
+        
+        this.entries = this.entries.filter(current => current.id !== id);
+        await this.persist();
+        
+        const { encrypted, ...meta } = entry;
+        return meta;
+    }
+    
+    /**
+     * Profiles that have every field `formType` requires, preferred kinds first.
+     */
+    findForForm(formType) {
+        const spec = FORM_TYPE_FIELDS[formType];
+        if (!spec) return [];
+        
+        const rank = profile => {
+            const index = spec.prefers.indexOf(profile.kind);
+            return index === -1 ? spec.prefers.length : index;
+        };
+        
+        return this.list()
+            .filter(profile => spec.requires.every(field => profile.fields.includes(field)))
+            .sort((a, b) => rank(a) - rank(b));
+    }
+    
+    async persist() {
+        await chrome.storage.local.set({ [STORAGE_KEY]: this.entries });
+    }
+}
+
+function validateProfile(profile) {
+    const errors = [];
+    
+    if (typeof profile?.name !== 'string' || !profile.name.trim()) {
+        errors.push('Profile name is required');
+    }
+    
+    if (!PROFILE_KINDS[profile?.kind]) {
+        errors.push(`Kind must be one of: ${Object.keys(PROFILE_KINDS).join(', ')}`);
+    }
+    
+    const values = profile?.values;
+    if (!values || typeof values !== 'object') {
+        errors.push('Profile values are required');
+    } else {
+        const unknown = Object.keys(values).filter(key => !PROFILE_FIELDS[key]);
+        if (unknown.length) errors.push(`Unknown profile fields: ${unknown.join(', ')}`);
+        
+        if (!Object.values(values).some(value => String(value ?? '').trim())) {
+            errors.push('Fill in at least one field');
+        }
+    }
+    
+    return errors;
+}
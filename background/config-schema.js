@@ -0,0 +1,232 @@
+/**
+ * EchoNate v2.0 - Configuration Schema
+ * Types, allowed values, defaults, mode requirements and risk weights for every config key
+ */
+
+export const MODES = ['standard', 'advanced', 'research'];
+
+// `modes` maps a value to the lowest mode allowed to select it; `risk` feeds getSafetyLevel
+export const CONFIG_SCHEMA = {
+    userConfirmation: {
+        sm: 'SM-001',
+        label: 'User Confirmation',
+        description: 'Ask before sensitive actions such as CAPTCHA solving or form submission.',
+        type: 'boolean',
+        default: true,
+        modes: { true: 'standard', false: 'research' },
+        risk: { true: 0, false: 3 }
+    },
+    actionLogging: {
+        sm: 'SM-003',
+        label: 'Action Logging',
+        description: 'Record every action in the hash-chained audit trail.',
+        type: 'boolean',
+        default: true,
+        modes: { true: 'standard', false: 'research' },
+        risk: { true: 0, false: 2 }
+    },
+    rateLimitStrategy: {
+        sm: 'SM-004',
+        label: 'Rate Limit Strategy',
+        description: 'How closely request timing follows the limits servers advertise.',
+        type: 'string',
+        enum: ['respectful', 'aggressive', 'unrestricted'],
+        default: 'respectful',
+        modes: { respectful: 'standard', aggressive: 'advanced', unrestricted: 'research' },
+        risk: { respectful: 0, aggressive: 1, unrestricted: 2 }
+    },
+    captchaMode: {
+        sm: 'SM-005',
+        label: 'CAPTCHA Handling',
+        description: 'Whether CAPTCHAs are left to you, solved after confirmation, or solved automatically.',
+        type: 'string',
+        enum: ['manual', 'assisted', 'automated'],
+        default: 'manual',
+        modes: { manual: 'standard', assisted: 'advanced', automated: 'research' },
+        risk: { manual: 0, assisted: 1, automated: 2 }
+    },
+    formAutoSubmit: {
+        sm: 'SM-006',
+        label: 'Form Auto-Submit',
+        description: 'Allow filled forms to be submitted without you pressing the button.',
+        type: 'boolean',
+        default: false,
+        modes: { false: 'standard', true: 'advanced' },
+        risk: { false: 0, true: 1 }
+    },
+    sessionVerification: {
+        sm: 'SM-007',
+        label: 'Session Verification',
+        description: 'Check session ownership before syncing cookies.',
+        type: 'boolean',
+        default: true,
+        modes: { true: 'standard', false: 'research' },
+        risk: { true: 0, false: 2 }
+    },
+    fingerprintMethod: {
+        sm: 'SM-008',
+        label: 'Fingerprint Method',
+        description: 'How the browser fingerprint is presented to sites.',
+        type: 'string',
+        enum: ['normalization', 'randomization', 'spoofing'],
+        default: 'normalization',
+        modes: { normalization: 'standard', randomization: 'advanced', spoofing: 'research' },
+        risk: { normalization: 0, randomization: 1, spoofing: 2 }
+    },
+    proxyEnabled: {
+        sm: 'SM-009',
+        label: 'Proxy Routing',
+        description: 'Route traffic through a configured proxy.',
+        type: 'boolean',
+        default: false,
+        modes: { false: 'standard', true: 'advanced' }
+    },
+    challengeStrategy: {
+        sm: 'SM-010',
+        label: 'Challenge Strategy',
+        description: 'What happens when a site presents a security challenge.',
+        type: 'string',
+        enum: ['wait', 'assist', 'bypass'],
+        default: 'wait',
+        modes: { wait: 'standard', assist: 'advanced', bypass: 'research' },
+        risk: { wait: 0, assist: 1, bypass: 2 }
+    },
+    vaultAutoLockMinutes: {
+        sm: 'SM-010',
+        label: 'Vault Auto-Lock (minutes)',
+        description: 'Lock the credential vault after this many idle minutes. 0 never locks.',
+        type: 'integer',
+        min: 0,
+        max: 1440,
+        default: 15
+    },
+    auditStorage: {
+        sm: 'SM-012',
+        label: 'Audit Storage',
+        description: 'Keep the audit trail on this device, or do not persist it at all.',
+        type: 'string',
+        enum: ['local', 'none'],
+        default: 'local',
+        modes: { local: 'standard', none: 'research' }
+    },
+    auditRetentionDays: {
+        sm: 'SM-012',
+        label: 'Audit Retention (days)',
+        description: 'Archive audit events older than this. 0 keeps them indefinitely.',
+        type: 'integer',
+        min: 0,
+        max: 3650,
+        default: 90
+    },
+    auditMaxEvents: {
+        sm: 'SM-012',
+        label: 'Audit Size Limit (events)',
+        description: 'Archive the oldest events beyond this count. 0 removes the limit.',
+        type: 'integer',
+        min: 0,
+        max: 1000000,
+        default: 50000
+    },
+    termsAccepted: {
+        sm: 'SM-013',
+        label: 'Terms Accepted',
+        description: 'Set by accepting the Terms of Service, not editable here.',
+        type: 'boolean',
+        default: false,
+        readOnly: true
+    }
+};
+
+export class ConfigValidationError extends Error {
+    constructor(errors) {
+        super(errors.map(e => e.message).join('; '));
+        this.name = 'ConfigValidationError';
+        this.code = 'INVALID_CONFIG';
+        this.errors = errors;
+    }
+}
+
+export function getConfigDefaults() {
+    return Object.fromEntries(
+        Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default])
+    );
+}
+
+export function getRequiredMode(key, value) {
+    return CONFIG_SCHEMA[key]?.modes?.[String(value)] || 'standard';
+}
+
+export function getRiskWeight(key, value) {
+    return CONFIG_SCHEMA[key]?.risk?.[String(value)] || 0;
+}
+
+/**
+ * Returns a list of { key, code, message } problems; an empty list means the value is valid.
+ * Pass `mode` to also check that the current mode may select the value.
+ */
+export function validateConfigValue(key, value, { mode = null, allowReadOnly = false } = {}) {
+    const spec = CONFIG_SCHEMA[key];
+    
+    if (!spec) {
+        return [{ key, code: 'UNKNOWN_KEY', message: `Unknown configuration key "${key}"` }];
+    }
+    
+    if (spec.readOnly && !allowReadOnly) {
+        return [{ key, code: 'READ_ONLY', message: `"${key}" cannot be changed through configuration` }];
+    }
+    
+    if (!matchesType(spec.type, value)) {
+        return [{ key, code: 'INVALID_TYPE', message: `"${key}" must be ${spec.type === 'integer' ? 'an' : 'a'} ${spec.type}`, expected: spec.type }];
+    }
+    
+    if (spec.enum && !spec.enum.includes(value)) {
+        return [{ key, code: 'INVALID_VALUE', message: `"${key}" must be one of: ${spec.enum.join(', ')}`, expected: spec.enum }];
+    }
+    
+    if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return [{ key, code: 'OUT_OF_RANGE', message: `"${key}" must be between ${spec.min} and ${spec.max}`, expected: { min: spec.min, max: spec.max } }];
+    }
+    
+    if (mode) {
+        const required = getRequiredMode(key, value);
+        if (MODES.indexOf(mode) < MODES.indexOf(required)) {
+            return [{ key, code: 'MODE_REQUIRED', message: `Setting "${key}" to ${JSON.stringify(value)} requires ${required} mode`, requiredMode: required }];
+        }
+    }
+    
+    return [];
+}
+
+/**
+ * Validates a stored config object, replacing bad or missing values with defaults.
+ * Unknown keys are dropped so stale settings from older versions don't linger.
+ */
+export function sanitizeConfig(stored = {}) {
+    const config = getConfigDefaults();
+    const errors = [];
+    
+    for (const [key, value] of Object.entries(stored)) {
+        const problems = validateConfigValue(key, value, { allowReadOnly: true });
+        
+        if (problems.length) {
+            errors.push(...problems);
+        } else {
+            config[key] = value;
+        }
+    }
+    
+    return { config, errors };
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'integer':
+            return Number.isInteger(value);
+        case 'string':
+            return typeof value === 'string';
+        default:
+            return false;
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * EchoNate v2.0 - Credential Vault
+ * Passphrase-derived AES-GCM encryption for stored credentials
+ */
+
+const VAULT_CHECK_VALUE = 'echonate-vault-check';
+const KDF_ITERATIONS = 310000;
+const SESSION_KEY = 'vaultSession';
+const LOCK_ALARM = 'vaultAutoLock';
+
+export class CredentialVault {
+    constructor() {
+        // The derived key is never written to disk. A copy in session storage lets it
+        // outlive service worker restarts, and is dropped on lock or browser exit.
+        this.key = null;
+        this.rawKey = null; // Base64 copy kept in session storage
+        this.lockAt = null;
+        this.meta = null; // { salt, iterations, check }
+        this.autoLockMinutes = 15;
+        this.onLock = null; // (reason) => void, set by the core for audit logging
+    }
+    
+    async initialize(autoLockMinutes) {
+        this.autoLockMinutes = autoLockMinutes;
+        const stored = await chrome.storage.local.get(['vaultMeta']);
+        if (stored.vaultMeta) this.meta = stored.vaultMeta;
+        
+        const session = (await chrome.storage.session.get([SESSION_KEY]))[SESSION_KEY];
+        if (!session) return;
+        
+        // An alarm that fired while the worker was stopped is caught up here
+        if (session.lockAt && session.lockAt <= Date.now()) {
+            await chrome.storage.session.remove(SESSION_KEY);
+            if (this.onLock) this.onLock('idle');
+            return;
+        }
+        
+        this.key = await importKey(fromBase64(session.key));
+        this.rawKey = session.key;
+        this.lockAt = session.lockAt;
+        
+        // Restarts keep the stored deadline; only using the vault pushes it back. A session
+        // from before auto-lock was turned on gets its first deadline here.
+        if (!this.lockAt && this.autoLockMinutes > 0) await this.touch();
+    }
+    
+    handleAlarm(alarm) {
+        // The worker is stopped when idle, so the auto-lock is an alarm rather than a timer
+        if (alarm.name === LOCK_ALARM) this.lock('idle');
+    }
+    
+    isInitialized() {
+        return this.meta !== null;
+    }
+    
+    isLocked() {
+        return this.key === null;
+    }
+    
+    /**
+     * For a changed setting; restarts the countdown with the new length.
+     */
+    async setAutoLock(minutes) {
+        this.autoLockMinutes = minutes;
+        if (!this.isLocked()) await this.touch();
+    }
+    
+    async unlock(passphrase) {
+        if (!passphrase) {
+            throw new Error('Master passphrase is required');
+        }
+        
+        if (!this.isInitialized()) {
+            // First unlock sets the master passphrase
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const raw = await this.deriveKey(passphrase, salt, KDF_ITERATIONS);
+            
+            this.meta = {
+                salt: toBase64(salt),
+                iterations: KDF_ITERATIONS,
+                check: await encryptWithKey(await importKey(raw), VAULT_CHECK_VALUE)
+            };
+            
+            await chrome.storage.local.set({ vaultMeta: this.meta });
+            await this.startSession(raw);
+            return { created: true };
+        }
+        
+        const raw = await this.deriveKey(
+            passphrase,
+            fromBase64(this.meta.salt),
+            this.meta.iterations
+        );
+        
+        try {
+            const check = await decryptWithKey(await importKey(raw), this.meta.check);
+            if (check !== VAULT_CHECK_VALUE) throw new Error();
+        } catch (error) {
+            throw new Error('Incorrect master passphrase');
+        }
+        
+        await this.startSession(raw);
+        return { created: false };
+    }
+    
+    async startSession(raw) {
+        this.key = await importKey(raw);
+        this.rawKey = toBase64(raw);
+        await this.touch();
+    }
+    
+    /**
+     * `reason` is 'manual' or 'idle'; a vault that is already locked stays quiet.
+     */
+    async lock(reason = 'manual') {
+        const wasUnlocked = !this.isLocked();
+        this.key = null;
+        this.rawKey = null;
+        this.lockAt = null;
+        
+        await chrome.alarms.clear(LOCK_ALARM);
+        await chrome.storage.session.remove(SESSION_KEY);
+        
+        if (wasUnlocked && this.onLock) this.onLock(reason);
+    }
+    
+    async touch() {
+        // Restart the idle countdown on every vault operation
+        this.lockAt = this.autoLockMinutes > 0 ? Date.now() + this.autoLockMinutes * 60 * 1000 : null;
+        
+        if (this.lockAt) {
+            chrome.alarms.create(LOCK_ALARM, { when: this.lockAt });
+        } else {
+            await chrome.alarms.clear(LOCK_ALARM);
+        }
+        
+        await chrome.storage.session.set({ [SESSION_KEY]: { key: this.rawKey, lockAt: this.lockAt } });
+    }
+    
+    async encrypt(data) {
+        this.assertUnlocked();
+        await this.touch();
+        return encryptWithKey(this.key, JSON.stringify(data));
+    }
+    
+    async decrypt(payload) {
+        this.assertUnlocked();
+        await this.touch();
+        return JSON.parse(await decryptWithKey(this.key, payload));
+    }
+    
+    assertUnlocked() {
+        if (this.isLocked()) {
+            throw new Error('Credential vault is locked');
+        }
+    }
+    
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        
+        // Raw bytes, so the session copy can be restored after a worker restart
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            256
+        );
+        
+        return new Uint8Array(bits);
+    }
+}
+
+function importKey(raw) {
+    // Not extractable once imported; only the session copy holds the raw bytes
+    return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+async function encryptWithKey(key, plaintext) {
+    // Fresh 96-bit IV for every entry
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(plaintext)
+    );
+    
+    return {
+        iv: toBase64(iv),
+        data: toBase64(new Uint8Array(ciphertext))
+    };
+}
+
+async function decryptWithKey(key, payload) {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+        key,
+        fromBase64(payload.data)
+    );
+    
+    return new TextDecoder().decode(plaintext);
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+}
+
+function fromBase64(value) {
+    return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+}
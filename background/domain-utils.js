@@ -0,0 +1,254 @@
+/**
+ * EchoNate v2.0 - Domain Utilities
+ * Registrable-domain matching and lookalike detection for origin-bound credentials
+ */
+
+import { PUBLIC_SUFFIX_RULES } from './public-suffix-list.js';
+
+// Public Suffix List rules split by kind: "co.uk", "*.ck" (kept as "ck") and "!www.ck" (kept as "www.ck")
+const SUFFIX_RULES = new Set(PUBLIC_SUFFIX_RULES.filter(rule => !/^[!*]/.test(rule)));
+const WILDCARD_RULES = new Set(PUBLIC_SUFFIX_RULES.filter(rule => rule.startsWith('*.')).map(rule => rule.slice(2)));
+const EXCEPTION_RULES = new Set(PUBLIC_SUFFIX_RULES.filter(rule => rule.startsWith('!')).map(rule => rule.slice(1)));
+
+// Names this short collide too easily to treat a single edit as suspicious
+const LOOKALIKE_MIN_LENGTH = 6;
+const LOOKALIKE_TWO_EDIT_LENGTH = 12;
+const REPEATED_LETTER_MIN_LENGTH = 4;
+
+// Characters commonly substituted for ASCII letters in spoofed hostnames
+const HOMOGLYPHS = {
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y',
+    'і': 'i', 'ј': 'j', 'ԁ': 'd', 'ɡ': 'g', 'ӏ': 'l', 'ѕ': 's', 'һ': 'h',
+    'ο': 'o', 'α': 'a', 'ν': 'v', 'ι': 'i', 'κ': 'k', 'τ': 't',
+    '0': 'o', '1': 'l', '3': 'e', '5': 's', '@': 'a'
+};
+
+const HOMOGLYPH_SEQUENCES = [
+    ['rn', 'm'],
+    ['vv', 'w'],
+    ['cl', 'd']
+];
+
+export function normalizeHost(siteOrUrl) {
+    const value = String(siteOrUrl || '').trim().toLowerCase();
+    
+    try {
+        const url = new URL(value.includes('://') ? value : `https://${value}`);
+        return url.hostname.replace(/\.$/, '');
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * The public suffix of a host by the Public Suffix List algorithm: exception rules win,
+ * then the longest matching rule, and an unlisted TLD is a suffix on its own.
+ */
+export function getPublicSuffix(host) {
+    const labels = normalizeHost(host).split('.');
+    
+    // Longest candidates come first
+    for (let index = 0; index < labels.length; index++) {
+        const candidate = labels.slice(index).join('.');
+        const parent = labels.slice(index + 1).join('.');
+        
+        if (EXCEPTION_RULES.has(candidate)) return parent;
+        if (SUFFIX_RULES.has(candidate) || WILDCARD_RULES.has(parent)) return candidate;
+    }
+    
+    return labels[labels.length - 1];
+}
+
+export function isPublicSuffix(host) {
+    const normalized = normalizeHost(host);
+    return getPublicSuffix(normalized) === normalized;
+}
+
+export function getRegistrableDomain(host) {
+    const normalized = normalizeHost(host);
+    
+    // IP addresses and single-label hosts have no registrable parent
+    if (/^[\d.]+$/.test(normalized) || normalized.startsWith('[') || !normalized.includes('.')) {
+        return normalized;
+    }
+    
+    // A public suffix (co.uk, github.io) is shared by unrelated sites, so it only matches itself
+    const suffix = getPublicSuffix(normalized);
+    if (suffix === normalized) return normalized;
+    
+    const labels = normalized.split('.');
+    return labels.slice(-(suffix.split('.').length + 1)).join('.');
+}
+
+export function isSameRegistrableDomain(a, b) {
+    return getRegistrableDomain(a) === getRegistrableDomain(b);
+}
+
+export function isOriginAllowed(host, site, approvedSubdomains = []) {
+    // Exact site or its registrable domain; other subdomains need explicit approval
+    const pageHost = normalizeHost(host);
+    const siteHost = normalizeHost(site);
+    const bareHost = pageHost.replace(/^www\./, '');
+    
+    if (bareHost === siteHost.replace(/^www\./, '') || bareHost === getRegistrableDomain(siteHost)) {
+        return true;
+    }
+    
+    return approvedSubdomains.includes(pageHost) && isSameRegistrableDomain(pageHost, siteHost);
+}
+
+export function matchesHostPattern(pattern, host) {
+    // "*.example.com" covers example.com and its subdomains; "*.gov" covers a whole TLD
+    const pageHost = normalizeHost(host);
+    const target = String(pattern).trim().toLowerCase();
+    
+    if (target.startsWith('*.')) {
+        const suffix = target.slice(2);
+        return pageHost === suffix || pageHost.endsWith(`.${suffix}`);
+    }
+    
+    return pageHost === target;
+}
+
+export function findLookalike(host, sites) {
+    const pageDomain = getRegistrableDomain(host);
+    sites = [...sites];
+    
+    // A page that is itself one of the stored sites is not impersonating its neighbours
+    if (sites.some(site => getRegistrableDomain(site) === pageDomain)) return null;
+    
+    for (const site of sites) {
+        const siteDomain = getRegistrableDomain(site);
+        if (pageDomain === siteDomain) continue;
+        
+        const reason = getLookalikeReason(pageDomain, siteDomain);
+        if (reason) {
+            return { host: normalizeHost(host), resembles: site, reason };
+        }
+    }
+    
+    return null;
+}
+
+function getLookalikeReason(pageDomain, siteDomain) {
+    const decoded = decodeHostname(pageDomain);
+    
+    if (skeleton(decoded) === skeleton(siteDomain)) {
+        return decoded !== pageDomain ? 'punycode' : 'homoglyph';
+    }
+    
+    // Only the name in front of the suffix counts; "bing.com" and "king.com" share most
+    // of their letters through ".com" alone
+    const pageName = decodeHostname(getDomainName(pageDomain));
+    const siteName = getDomainName(siteDomain);
+    
+    // A doubled or dropped letter ("bannk", "gogle") reads the same at a glance, even in short names
+    if (siteName.length >= REPEATED_LETTER_MIN_LENGTH && pageName !== siteName &&
+        collapseRepeats(pageName) === collapseRepeats(siteName)) {
+        return 'edit-distance';
+    }
+    
+    if (siteName.length >= LOOKALIKE_MIN_LENGTH) {
+        const threshold = siteName.length >= LOOKALIKE_TWO_EDIT_LENGTH ? 2 : 1;
+        const distance = editDistance(pageName, siteName);
+        if (distance > 0 && distance <= threshold) return 'edit-distance';
+    }
+    
+    return null;
+}
+
+function getDomainName(domain) {
+    const suffix = getPublicSuffix(domain);
+    return suffix === domain ? domain : domain.slice(0, -(suffix.length + 1));
+}
+
+function collapseRepeats(name) {
+    return name.replace(/(.)\1+/g, '$1');
+}
+
+function skeleton(domain) {
+    let result = Array.from(domain, c => HOMOGLYPHS[c] || c).join('');
+    
+    for (const [sequence, replacement] of HOMOGLYPH_SEQUENCES) {
+        result = result.split(sequence).join(replacement);
+    }
+    
+    return result.replace(/-/g, '');
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+function decodeHostname(host) {
+    return host.split('.')
+        .map(label => label.startsWith('xn--') ? decodePunycode(label.slice(4)) : label)
+        .join('.');
+}
+
+function decodePunycode(input) {
+    // RFC 3492 decoder; returns the input unchanged if it is malformed
+    const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+    const output = [];
+    let n = 128, i = 0, bias = 72;
+    
+    const basicEnd = input.lastIndexOf('-');
+    for (let j = 0; j < Math.max(basicEnd, 0); j++) {
+        output.push(input.charCodeAt(j));
+    }
+    
+    const adapt = (delta, numPoints, firstTime) => {
+        delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+        delta += Math.floor(delta / numPoints);
+        
+        let k = 0;
+        while (delta > ((base - tMin) * tMax) >> 1) {
+            delta = Math.floor(delta / (base - tMin));
+            k += base;
+        }
+        
+        return k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+    };
+    
+    for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+        const oldI = i;
+        
+        for (let w = 1, k = base; ; k += base) {
+            if (index >= input.length) return input;
+            
+            const code = input.charCodeAt(index++);
+            const digit = code >= 48 && code <= 57 ? code - 22 :
+                          code >= 97 && code <= 122 ? code - 97 :
+                          code >= 65 && code <= 90 ? code - 65 : base;
+            if (digit >= base) return input;
+            
+            i += digit * w;
+            const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+            if (digit < t) break;
+            w *= base - t;
+        }
+        
+        bias = adapt(i - oldI, output.length + 1, oldI === 0);
+        n += Math.floor(i / (output.length + 1));
+        i %= output.length + 1;
+        output.splice(i++, 0, n);
+    }
+    
+    return String.fromCodePoint(...output);
+}
@@ -3,100 +3,452 @@
  * Intelligent Navigation Assistant
  */
 
+import { CredentialVault } from './credential-vault.js';
+import { chainEvent, verifyChain } from './audit-chain.js';
+import { AuditSigner } from './audit-signer.js';
+import { AuditStore } from './audit-store.js';
+import { Redactor, BUILT_IN_DETECTORS } from './redaction.js';
+import { CONFIG_SCHEMA, MODES, ConfigValidationError, getConfigDefaults, getRequiredMode, sanitizeConfig, validateConfigValue } from './config-schema.js';
+import { SafetyPolicy } from './safety-policy.js';
+import { EXPORT_FORMATS, toNDJSON, toCSV, toHTMLReport } from './audit-formats.js';
+import { MessagePipeline, PipelineError } from './message-pipeline.js';
+import { ApprovalQueue } from './approval-queue.js';
+import { ModeGrants, GRANT_SCOPES, MAX_GRANT_MINUTES } from './mode-grants.js';
+import { AuthorizationRegistry, AUTHORIZATION_FEATURES } from './authorization-registry.js';
+import { ManagedPolicy } from './managed-policy.js';
+import { ProfileStore, PROFILE_KINDS, PROFILE_FIELDS, FORM_TYPE_FIELDS } from './autofill-profiles.js';
+import { loadBundledTerms, getAcceptanceGap } from './terms.js';
+import { STORAGE_VERSION, runMigrations } from './storage-migrations.js';
+import { normalizeHost, isOriginAllowed, isSameRegistrableDomain, findLookalike } from './domain-utils.js';
+
 class EchoNateCore {
     constructor() {
-        // Operational mode
-        this.mode = 'standard'; // standard | advanced | research
-        
-        // Safety mechanism states (SM-001 through SM-013)
-        this.config = {
-            userConfirmation: true,              // SM-001
-            actionLogging: true,                 // SM-003
-            rateLimitStrategy: 'respectful',     // SM-004
-            captchaMode: 'manual',               // SM-005
-            formAutoSubmit: false,               // SM-006
-            sessionVerification: true,           // SM-007
-            fingerprintMethod: 'normalization',  // SM-008
-            proxyEnabled: false,                 // SM-009
-            challengeStrategy: 'wait',           // SM-010
-            auditStorage: 'local',               // SM-012
-            termsAccepted: false                 // SM-013
-        };
+        // Safety mechanism states (SM-001 through SM-013), defined in config-schema.js
+        this.config = getConfigDefaults();
+        this.managedPolicy = new ManagedPolicy();
+        
+        // SM-013: The bundled terms and the user's acceptance of them
+        this.terms = null;
+        this.termsAcceptance = null;
+        this.termsGap = 'not_accepted';
         
         // System state
         this.sessions = new Map();
         this.credentials = new Map();
-        this.auditLog = [];
+        this.legacyCredentials = {}; // base64 entries from before the vault, encrypted on next unlock
+        this.unmigratedCredentials = {}; // base64 entries still under `credentials` after a failed migration
+        this.vault = new CredentialVault();
+        this.profiles = new ProfileStore(this.vault);
+        this.auditStore = new AuditStore();
+        this.auditQueue = Promise.resolve();
+        this.appendsSinceRetention = 0;
+        this.auditSigner = new AuditSigner();
+        this.redactor = new Redactor();
+        this.approvals = new ApprovalQueue();
+        
+        // Operational mode: standard unless a time-boxed grant elevates a tab or origin
+        this.modeGrants = new ModeGrants();
+        this.authorizations = new AuthorizationRegistry();
+        this.safetyPolicy = new SafetyPolicy();
         this.captchaProviders = new Map();
         
-        this.initialize();
+        // Stored data is upgraded before anything reads it
+        this.migration = null;
+        
+        // Chrome only delivers the event that woke the worker to listeners added before the
+        // first await, so every listener is registered here and waits for `ready` instead
+        this.ready = this.initialize();
+        this.ready.catch(error => {
+            // Every request is answered with NOT_READY; the badge shows it without opening the popup
+            console.error('❌ EchoNate Core failed to initialize:', error);
+            chrome.action.setBadgeBackgroundColor({ color: '#F44336' });
+            chrome.action.setBadgeText({ text: '!' });
+            chrome.action.setTitle({ title: `EchoNate failed to start: ${error.message}` });
+        });
+        this.setupMessageHandlers();
+        this.setupEventListeners();
     }
     
     async initialize() {
         console.log('🌐 EchoNate Core Initializing...');
         
         // Load saved configuration
+        const migration = await this.migrateStorage();
         await this.loadConfiguration();
+        await this.safetyPolicy.load();
+        await this.initializeAuditStore(migration);
+        this.logMigration(migration);
         
         // Verify terms acceptance
         await this.verifyTermsAcceptance();
         
         // Initialize subsystems
+        await this.initializeVault();
+        await this.initializeApprovals();
+        await this.initializeModeGrants();
+        await this.initializeManagedPolicy();
+        await this.authorizations.initialize();
+        await this.profiles.initialize();
+        await this.initializeAuditSigner();
         await this.initializeCaptchaProviders();
-        await this.setupMessageHandlers();
-        await this.setupRequestInterception();
         
         console.log('✅ EchoNate Core Ready');
-        console.log(`📊 Mode: ${this.mode}`);
+        console.log(`📊 Mode: ${this.getMode()}`);
         console.log(`🔒 Safety Level: ${this.getSafetyLevel()}`);
     }
     
+    migrateStorage() {
+        // Startup and onInstalled share one run, so migrations never overlap
+        if (!this.migration) {
+            this.migration = runMigrations().catch(error => ({
+                applied: [],
+                error: { message: error.message, failedAt: Date.now() }
+            }));
+        }
+        
+        return this.migration;
+    }
+    
+    setupEventListeners() {
+        chrome.runtime.onInstalled.addListener(details => this.handleInstalled(details));
+        
+        chrome.alarms.onAlarm.addListener(alarm => this.whenReady(() => {
+            this.vault.handleAlarm(alarm);
+            this.modeGrants.handleAlarm(alarm);
+        }));
+        
+        chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => this.whenReady(() => {
+            this.approvals.handleNotificationClick(notificationId, buttonIndex);
+        }));
+        
+        chrome.tabs.onRemoved.addListener(tabId => this.whenReady(() => {
+            this.approvals.handleTabRemoved(tabId);
+            this.modeGrants.handleTabRemoved(tabId);
+        }));
+        
+        this.managedPolicy.onChange = () => this.whenReady(() => this.applyManagedPolicy());
+        this.managedPolicy.listen();
+        
+        this.setupRequestInterception();
+    }
+    
+    /**
+     * Runs an event handler once initialization has finished. Events are dropped if it failed.
+     */
+    whenReady(handler) {
+        this.ready.then(handler, () => {}).catch(error => console.error('❌ Event handler failed:', error));
+    }
+    
+    async handleInstalled(details) {
+        const migration = await this.migrateStorage();
+        console.log(`📦 Extension ${details.reason}: storage schema v${migration.to ?? '?'} (current v${STORAGE_VERSION})`);
+    }
+    
+    logMigration(migration) {
+        if (migration.error) {
+            console.error('❌ Storage migration failed and was rolled back:', migration.error);
+            this.logAction('storage_migration_failed', {
+                ...migration.error,
+                fromVersion: migration.from,
+                timestamp: Date.now()
+            });
+        }
+        
+        if (migration.applied.length) {
+            this.logAction('storage_migrated', {
+                fromVersion: migration.from,
+                toVersion: migration.to,
+                steps: migration.applied,
+                timestamp: Date.now()
+            });
+        }
+    }
+    
     async loadConfiguration() {
         const stored = await chrome.storage.local.get([
-            'mode',
             'config',
             'credentials',
+            'legacyCredentials',
             'termsAccepted',
-            'auditLog'
+            'termsAcceptance',
+            'redactionSettings'
         ]);
         
-        if (stored.mode) this.mode = stored.mode;
-        if (stored.config) this.config = { ...this.config, ...stored.config };
-        if (stored.credentials) this.credentials = new Map(Object.entries(stored.credentials));
-        if (stored.termsAccepted) this.config.termsAccepted = stored.termsAccepted;
-        if (stored.auditLog) this.auditLog = stored.auditLog;
+        if (stored.config) {
+            // Anything that fails the schema falls back to its default
+            const { config, errors } = sanitizeConfig(stored.config);
+            this.config = config;
+            
+            if (errors.length) {
+                console.warn('⚠️  Reset invalid configuration values:', errors);
+                await chrome.storage.local.set({ config: this.config });
+            }
+        }
+        for (const [site, entry] of Object.entries(stored.credentials || {})) {
+            // Left in place for the migration to retry; the vault cannot decrypt them
+            if (typeof entry.encrypted === 'string') this.unmigratedCredentials[site] = entry;
+            else this.credentials.set(site, entry);
+        }
+        this.legacyCredentials = stored.legacyCredentials || {};
+        
+        // SM-013: Only an acceptance of the terms bundled with this build counts
+        this.terms = await loadBundledTerms();
+        this.termsAcceptance = stored.termsAcceptance || null;
+        this.termsGap = getAcceptanceGap(this.termsAcceptance, this.terms,
+            !!(stored.termsAccepted || stored.config?.termsAccepted));
+        this.config.termsAccepted = !this.termsGap;
+        
+        // Values locked by an enterprise policy win over anything stored locally
+        await this.managedPolicy.load();
+        if (this.managedPolicy.apply(this.config).length) {
+            await chrome.storage.local.set({ config: this.config });
+        }
+        
+        try {
+            if (stored.redactionSettings) this.redactor.setSettings(stored.redactionSettings);
+        } catch (error) {
+            // Fall back to the built-in detectors rather than logging unredacted
+            console.error('❌ Invalid redaction settings:', error);
+        }
+    }
+    
+    async initializeAuditStore(migration) {
+        await this.auditStore.open();
+        
+        // Move any log still kept in chrome.storage.local into IndexedDB. After a failed
+        // migration the redaction step has not run, so the old log waits for the retry.
+        const { auditLog } = migration.error ? {} : await chrome.storage.local.get(['auditLog']);
+        if (auditLog) {
+            // Legacy events were redacted by the storage migration; link them onto the chain here
+            let prevHash = this.auditStore.getHeadHash();
+            for (const event of auditLog) {
+                if (!event.hash) await chainEvent(event, prevHash);
+                prevHash = event.hash;
+            }
+            await this.auditStore.importEvents(auditLog);
+            await chrome.storage.local.remove('auditLog');
+        }
+        
+        await this.enforceAuditRetention();
+    }
+    
+    async enforceAuditRetention() {
+        const segment = await this.auditStore.enforceRetention({
+            maxAgeDays: this.config.auditRetentionDays,
+            maxEvents: this.config.auditMaxEvents
+        });
+        
+        if (segment) {
+            console.log(`🗄️  Archived ${segment.eventCount} audit events (${segment.segmentId})`);
+        }
+        
+        return segment;
     }
     
     async verifyTermsAcceptance() {
         // SM-013: Terms Acceptance Gate
         if (!this.config.termsAccepted) {
             console.log('⚠️  Terms not accepted. Extension limited until acceptance.');
-            // Will be handled by popup on first open
+            // Enforced per action by the message pipeline; the popup prompts on first open
+        }
+        
+        // An earlier acceptance no longer covers these terms; recorded once per terms version
+        if (this.termsGap === 'changed' || this.termsGap === 'legacy') {
+            const { termsGapLogged } = await chrome.storage.local.get(['termsGapLogged']);
+            if (termsGapLogged !== this.terms.hash) {
+                this.logAction('terms_reacceptance_required', {
+                    reason: this.termsGap,
+                    acceptedVersion: this.termsAcceptance?.version || null,
+                    currentVersion: this.terms.version,
+                    currentHash: this.terms.hash,
+                    timestamp: Date.now()
+                });
+                await chrome.storage.local.set({ termsGapLogged: this.terms.hash });
+            }
+        }
+    }
+    
+    async initializeVault() {
+        // Set first: a session that ran out while the worker was stopped locks during initialize
+        this.vault.onLock = (reason) => {
+            this.logAction('vault_locked', {
+                reason,
+                timestamp: Date.now()
+            });
+        };
+        
+        await this.vault.initialize(this.config.vaultAutoLockMinutes);
+    }
+    
+    async initializeAuditSigner() {
+        await this.auditSigner.initialize();
+        
+        // Exports signed with the discarded key still verify against their old fingerprint
+        if (this.auditSigner.replacedFingerprint) {
+            this.logAction('audit_signing_key_replaced', {
+                previousFingerprint: this.auditSigner.replacedFingerprint,
+                fingerprint: this.auditSigner.fingerprint,
+                timestamp: Date.now()
+            });
         }
     }
     
-    getSafetyLevel() {
-        // Calculate overall risk profile based on configuration
-        const riskFactors = {
-            userConfirmation: this.config.userConfirmation ? 0 : 3,
-            actionLogging: this.config.actionLogging ? 0 : 2,
-            rateLimitStrategy: this.config.rateLimitStrategy === 'respectful' ? 0 : 
-                              this.config.rateLimitStrategy === 'aggressive' ? 1 : 2,
-            captchaMode: this.config.captchaMode === 'manual' ? 0 :
-                        this.config.captchaMode === 'assisted' ? 1 : 2,
-            formAutoSubmit: this.config.formAutoSubmit ? 1 : 0,
-            sessionVerification: this.config.sessionVerification ? 0 : 2,
-            fingerprintMethod: this.config.fingerprintMethod === 'normalization' ? 0 :
-                              this.config.fingerprintMethod === 'randomization' ? 1 : 2,
-            challengeStrategy: this.config.challengeStrategy === 'wait' ? 0 :
-                              this.config.challengeStrategy === 'assist' ? 1 : 2
+    async initializeApprovals() {
+        // SM-001: Every decision lands in the audit trail with its approval ID
+        this.approvals.onDecision = (approval) => {
+            const actions = {
+                approved: 'user_confirmed',
+                denied: 'user_declined',
+                expired: 'approval_expired'
+            };
+            
+            this.logAction(actions[approval.status], {
+                approvalId: approval.id,
+                action: approval.action,
+                prompt: approval.prompt,
+                via: approval.decidedVia,
+                url: approval.origin.url,
+                timestamp: Date.now()
+            }, approval.correlationId);
+        };
+        
+        await this.approvals.initialize();
+    }
+    
+    async initializeModeGrants() {
+        // SM-002: Grants and reverts share the grant ID as their correlation ID
+        this.modeGrants.onChange = (event, grant) => {
+            if (event === 'granted') {
+                this.logAction('mode_granted', {
+                    grantId: grant.id,
+                    mode: grant.mode,
+                    scope: grant.scope,
+                    acknowledgementId: grant.acknowledgementId,
+                    durationMinutes: grant.durationMinutes,
+                    expiresAt: grant.expiresAt,
+                    justification: grant.justification,
+                    timestamp: Date.now()
+                }, grant.id);
+            } else {
+                this.logAction('mode_reverted', {
+                    grantId: grant.id,
+                    from: grant.mode,
+                    to: 'standard',
+                    scope: grant.scope,
+                    reason: grant.reason,
+                    config: grant.config || {},
+                    timestamp: Date.now()
+                }, grant.id);
+            }
         };
         
-        const totalRisk = Object.values(riskFactors).reduce((a, b) => a + b, 0);
+        await this.modeGrants.initialize();
+    }
+    
+    async initializeManagedPolicy() {
+        await this.applyManagedPolicy();
+        await this.resetModeGatedConfig();
+    }
+    
+    async applyManagedPolicy() {
+        // Called at startup and whenever an admin changes the policy
+        const changed = this.managedPolicy.apply(this.config);
+        if (changed.length) {
+            await chrome.storage.local.set({ config: this.config });
+            for (const { key } of changed) await this.applyConfigChange(key);
+        }
+        
+        const revoked = [];
+        for (const grant of this.modeGrants.list()) {
+            if (!this.managedPolicy.allowsMode(grant.mode)) {
+                await this.modeGrants.revoke(grant.id, 'managed_policy');
+                revoked.push(grant.id);
+            }
+        }
+        
+        // One audit event per distinct policy, not one per worker start
+        const policy = JSON.stringify({ lockedConfig: this.managedPolicy.lockedConfig, maxMode: this.managedPolicy.maxMode });
+        const { lastManagedPolicy = null } = await chrome.storage.local.get(['lastManagedPolicy']);
+        const unchanged = policy === lastManagedPolicy || (lastManagedPolicy === null && !this.managedPolicy.isActive());
+        
+        if (!unchanged || changed.length || revoked.length) {
+            this.logAction('managed_policy_applied', {
+                lockedConfig: this.managedPolicy.lockedConfig,
+                maxMode: this.managedPolicy.maxMode,
+                changed,
+                revokedGrants: revoked,
+                timestamp: Date.now()
+            });
+            await chrome.storage.local.set({ lastManagedPolicy: policy });
+        }
+    }
+    
+    getMode(sender = null) {
+        // A content script gets its own tab's mode; extension pages see the highest active grant
+        const mode = this.modeGrants.getEffectiveMode(sender?.tab || null);
+        return this.managedPolicy.allowsMode(mode) ? mode : this.managedPolicy.maxMode;
+    }
+    
+    /**
+     * Settings as they apply to `sender`: the shared values, overlaid with any stored on the
+     * grant that gives the sender its mode. Without a sender, the highest grant anywhere
+     * applies, matching getMode(). Values locked by a managed policy always win.
+     */
+    getConfig(sender = null) {
+        const grant = this.getConfigGrant(sender);
+        if (!grant) return this.config;
+        
+        const overrides = Object.entries(grant.config || {})
+            .filter(([key]) => !this.managedPolicy.isLocked(key));
+        return { ...this.config, ...Object.fromEntries(overrides) };
+    }
+    
+    getConfigGrant(sender = null) {
+        const grant = this.modeGrants.getEffectiveGrant(sender?.tab || null);
+        return grant && this.managedPolicy.allowsMode(grant.mode) ? grant : null;
+    }
+    
+    /**
+     * Values that need an elevated mode belong on a grant. Any left in the shared settings,
+     * saved by a version before grants held them, are put back to their default.
+     */
+    async resetModeGatedConfig() {
+        const defaults = getConfigDefaults();
+        const reset = [];
+        
+        for (const key of Object.keys(CONFIG_SCHEMA)) {
+            if (this.managedPolicy.isLocked(key)) continue;
+            if (!validateConfigValue(key, this.config[key], { mode: 'standard', allowReadOnly: true }).length) continue;
+            
+            reset.push({ key, from: this.config[key], to: defaults[key] });
+            this.config[key] = defaults[key];
+        }
+        
+        if (!reset.length) return reset;
+        
+        await chrome.storage.local.set({ config: this.config });
+        for (const { key } of reset) await this.applyConfigChange(key);
+        
+        this.logAction('config_reset', {
+            reason: 'mode_gated',
+            reset,
+            timestamp: Date.now()
+        });
         
-        if (totalRisk <= 2) return 'LOW';
-        if (totalRisk <= 8) return 'MEDIUM';
-        return 'HIGH';
+        return reset;
+    }
+    
+    getSafetyBreakdown(sender = null) {
+        // Each schema factor with its weight; thresholds come from policies/safety-policy.json
+        return this.safetyPolicy.explain(this.getConfig(sender));
+    }
+    
+    getRiskScore(sender = null) {
+        return this.getSafetyBreakdown(sender).score;
+    }
+    
+    getSafetyLevel(sender = null) {
+        return this.getSafetyBreakdown(sender).level;
     }
     
     async initializeCaptchaProviders() {
@@ -127,24 +479,63 @@ class EchoNateCore {
     }
     
     setupMessageHandlers() {
+        const handlers = {
+            'GET_STATUS': this.handleStatusRequest.bind(this),
+            'EXPLAIN_SAFETY': this.handleSafetyExplain.bind(this),
+            'CHANGE_MODE': this.handleModeChange.bind(this),
+            'REVOKE_MODE_GRANT': this.handleModeGrantRevoke.bind(this),
+            'UPDATE_CONFIG': this.handleConfigUpdate.bind(this),
+            'GET_CONFIG_SCHEMA': this.handleConfigSchemaRequest.bind(this),
+            'HANDLE_CHALLENGE': this.handleChallengeRequest.bind(this),
+            'SOLVE_CAPTCHA': this.handleCaptchaRequest.bind(this),
+            'SYNC_SESSION': this.handleSessionSync.bind(this),
+            'FILL_FORM': this.handleFormFill.bind(this),
+            'REVERT_FORM_FILL': this.handleFormFillRevert.bind(this),
+            'MANAGE_CREDENTIALS': this.handleCredentials.bind(this),
+            'UNLOCK_VAULT': this.handleVaultUnlock.bind(this),
+            'LOCK_VAULT': this.handleVaultLock.bind(this),
+            'EXPORT_AUDIT': this.handleAuditExport.bind(this),
+            'VERIFY_AUDIT': this.handleAuditVerify.bind(this),
+            'QUERY_AUDIT': this.handleAuditQuery.bind(this),
+            'LIST_AUDIT_ARCHIVES': this.handleAuditArchiveList.bind(this),
+            'EXPORT_AUDIT_ARCHIVE': this.handleAuditArchiveExport.bind(this),
+            'DELETE_AUDIT_ARCHIVE': this.handleAuditArchiveDelete.bind(this),
+            'LIST_APPROVALS': this.handleApprovalList.bind(this),
+            'RESOLVE_APPROVAL': this.handleApprovalResolve.bind(this),
+            'AWAIT_APPROVAL': this.handleApprovalAwait.bind(this),
+            'GET_REDACTION_SETTINGS': this.handleRedactionSettingsRequest.bind(this),
+            'UPDATE_REDACTION_SETTINGS': this.handleRedactionSettingsUpdate.bind(this),
+            'PREVIEW_REDACTION': this.handleRedactionPreview.bind(this),
+            'LIST_AUTHORIZATIONS': this.handleAuthorizationList.bind(this),
+            'SAVE_AUTHORIZATION': this.handleAuthorizationSave.bind(this),
+            'DELETE_AUTHORIZATION': this.handleAuthorizationDelete.bind(this),
+            'CHECK_AUTHORIZATION': this.handleAuthorizationCheck.bind(this),
+            'LIST_PROFILES': this.handleProfileList.bind(this),
+            'GET_PROFILE': this.handleProfileGet.bind(this),
+            'SAVE_PROFILE': this.handleProfileSave.bind(this),
+            'DELETE_PROFILE': this.handleProfileDelete.bind(this),
+            'GET_PROFILES_FOR_FORM': this.handleProfilesForForm.bind(this),
+            'RETRIEVE_PROFILE': this.handleProfileRetrieve.bind(this),
+            'ACCEPT_TERMS': this.handleTermsAcceptance.bind(this)
+        };
+        
+        // Terms, mode, sender and rate-limit gates, plus uniform error shaping
+        this.pipeline = new MessagePipeline({
+            handlers,
+            ready: this.ready,
+            getContext: (sender) => ({
+                mode: this.getMode(sender),
+                config: this.getConfig(sender),
+                safetyLevel: this.getSafetyLevel(sender),
+                safetyPolicy: this.safetyPolicy,
+                authorizations: this.authorizations
+            }),
+            log: this.logAction.bind(this)
+        });
+        
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            const handlers = {
-                'GET_STATUS': this.handleStatusRequest.bind(this),
-                'CHANGE_MODE': this.handleModeChange.bind(this),
-                'UPDATE_CONFIG': this.handleConfigUpdate.bind(this),
-                'HANDLE_CHALLENGE': this.handleChallengeRequest.bind(this),
-                'SOLVE_CAPTCHA': this.handleCaptchaRequest.bind(this),
-                'SYNC_SESSION': this.handleSessionSync.bind(this),
-                'FILL_FORM': this.handleFormFill.bind(this),
-                'MANAGE_CREDENTIALS': this.handleCredentials.bind(this),
-                'EXPORT_AUDIT': this.handleAuditExport.bind(this),
-                'ACCEPT_TERMS': this.handleTermsAcceptance.bind(this)
-            };
-            
-            if (handlers[message.action]) {
-                handlers[message.action](message, sender)
-                    .then(sendResponse)
-                    .catch(error => sendResponse({ success: false, error: error.message }));
+            if (this.pipeline.canHandle(message.action)) {
+                this.pipeline.dispatch(message, sender).then(sendResponse);
                 return true; // Async response
             }
             
@@ -155,13 +546,13 @@ class EchoNateCore {
     setupRequestInterception() {
         // Monitor requests for optimization opportunities
         chrome.webRequest.onBeforeSendHeaders.addListener(
-            (details) => this.onBeforeSendHeaders(details),
+            (details) => this.whenReady(() => this.onBeforeSendHeaders(details)),
             { urls: ["<all_urls>"] },
             ["requestHeaders"]
         );
         
         chrome.webRequest.onHeadersReceived.addListener(
-            (details) => this.onHeadersReceived(details),
+            (details) => this.whenReady(() => this.onHeadersReceived(details)),
             { urls: ["<all_urls>"] },
             ["responseHeaders"]
         );
@@ -169,7 +560,7 @@ class EchoNateCore {
     
     async onBeforeSendHeaders(details) {
         // Log request for audit trail
-        if (this.config.actionLogging) {
+        if (this.getConfig().actionLogging) {
             this.logAction('request_sent', {
                 url: details.url,
                 method: details.method,
@@ -236,79 +627,246 @@ class EchoNateCore {
         return {
             success: true,
             status: {
-                mode: this.mode,
-                config: this.config,
-                safetyLevel: this.getSafetyLevel(),
+                mode: this.getMode(sender),
+                modeGrants: this.modeGrants.list(),
+                managed: this.managedPolicy.describe(),
+                config: this.getConfig(sender),
+                safetyLevel: this.getSafetyLevel(sender),
                 termsAccepted: this.config.termsAccepted,
-                auditLogSize: this.auditLog.length
+                terms: {
+                    current: this.terms,
+                    acceptance: this.termsAcceptance,
+                    reason: this.termsGap
+                },
+                auditLogSize: this.auditStore.count,
+                storage: await this.getStorageStatus(),
+                pendingApprovals: this.approvals.listPending().length,
+                auditStorageUsage: await this.auditStore.estimateQuota(),
+                auditArchives: await this.getAuditArchiveSummary(),
+                auditSigningKey: this.auditSigner.describe(),
+                vault: {
+                    initialized: this.vault.isInitialized(),
+                    locked: this.vault.isLocked()
+                }
             }
         };
     }
     
+    async getAuditArchiveSummary() {
+        const archives = await this.auditStore.listArchives();
+        
+        return {
+            segments: archives.length,
+            events: archives.reduce((sum, archive) => sum + archive.eventCount, 0)
+        };
+    }
+    
+    async getStorageStatus() {
+        const { storageVersion, migrationError } = await chrome.storage.local.get(['storageVersion', 'migrationError']);
+        
+        return {
+            version: storageVersion ?? 0,
+            currentVersion: STORAGE_VERSION,
+            migrationError: migrationError || null,
+            legacyCredentials: Object.keys(this.legacyCredentials).length
+        };
+    }
+    
+    async handleSafetyExplain(message, sender) {
+        // Popup asks with the active tab's URL so it can show that site's limit too
+        return {
+            success: true,
+            breakdown: this.getSafetyBreakdown(sender),
+            siteRule: message.url ? this.safetyPolicy.getSiteRule(message.url) : null
+        };
+    }
+    
     async handleModeChange(message, sender) {
         // SM-002: Mode Architecture
-        const { newMode, justification } = message;
+        const { newMode, justification, durationMinutes = 30, scope, acknowledged } = message;
         
-        if (!['standard', 'advanced', 'research'].includes(newMode)) {
+        if (!MODES.includes(newMode)) {
             throw new Error('Invalid mode');
         }
         
-        // Log mode change
-        this.logAction('mode_change', {
-            from: this.mode,
-            to: newMode,
-            justification: justification || 'User requested',
+        if (!this.managedPolicy.allowsMode(newMode)) {
+            throw new PipelineError('POLICY_LOCKED', `${newMode} mode is disabled by your administrator`, {
+                maxMode: this.managedPolicy.maxMode
+            });
+        }
+        
+        // Standard ends every grant early
+        if (newMode === 'standard') {
+            await this.modeGrants.revokeAll('user_revoked');
+            return {
+                success: true,
+                mode: this.getMode(),
+                safetyLevel: this.getSafetyLevel()
+            };
+        }
+        
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_GRANT_MINUTES) {
+            throw new Error(`Duration must be between 1 and ${MAX_GRANT_MINUTES} minutes`);
+        }
+        
+        // Each elevation needs the user to acknowledge that mode's warning first
+        if (acknowledged !== true) {
+            throw new PipelineError('ACKNOWLEDGEMENT_REQUIRED', `The ${newMode} mode warning must be acknowledged`);
+        }
+        
+        const resolvedScope = await this.resolveGrantScope(scope);
+        const acknowledgementId = this.logAction('mode_acknowledged', {
+            mode: newMode,
+            termsVersion: this.terms.version,
+            termsHash: this.terms.hash,
             timestamp: Date.now()
         });
         
-        this.mode = newMode;
-        await chrome.storage.local.set({ mode: this.mode });
+        const grant = await this.modeGrants.grant({
+            mode: newMode,
+            scope: resolvedScope,
+            durationMinutes,
+            justification: justification || 'User requested',
+            acknowledgementId
+        });
         
         return {
             success: true,
-            mode: this.mode,
-            safetyLevel: this.getSafetyLevel()
+            mode: this.getMode(),
+            safetyLevel: this.getSafetyLevel(),
+            grant
+        };
+    }
+    
+    async resolveGrantScope(scope) {
+        // Elevation always names where it applies; there is no all-tabs grant
+        if (!GRANT_SCOPES.includes(scope?.type)) {
+            throw new Error(`Elevated modes need a scope of type ${GRANT_SCOPES.join(' or ')}`);
+        }
+        
+        if (scope.type === 'tab') {
+            const tab = await chrome.tabs.get(scope.tabId).catch(() => null);
+            if (!tab) throw new Error('Tab not found');
+            return { type: 'tab', tabId: tab.id, url: tab.url };
+        }
+        
+        let origin;
+        try {
+            origin = new URL(scope.origin).origin;
+        } catch (error) {
+            throw new Error('Invalid origin');
+        }
+        
+        if (!/^https?:/.test(origin)) throw new Error('Only http and https origins can be elevated');
+        return { type: 'origin', origin };
+    }
+    
+    async handleModeGrantRevoke(message, sender) {
+        const grant = await this.modeGrants.revoke(message.grantId, 'user_revoked');
+        if (!grant) throw new Error('Unknown mode grant');
+        
+        return {
+            success: true,
+            mode: this.getMode(),
+            modeGrants: this.modeGrants.list()
         };
     }
     
     async handleConfigUpdate(message, sender) {
         const { configKey, value } = message;
         
-        // Validate configuration key
-        if (!this.config.hasOwnProperty(configKey)) {
-            throw new Error('Invalid configuration key');
+        if (this.managedPolicy.isLocked(configKey)) {
+            throw new ConfigValidationError([{
+                key: configKey,
+                code: 'LOCKED_BY_POLICY',
+                message: `${CONFIG_SCHEMA[configKey].label} is locked by your administrator`
+            }]);
+        }
+        
+        // Validate key, type, allowed values and the mode the value needs, against the
+        // grant that gives the sender its mode
+        const grant = this.getConfigGrant(sender);
+        const errors = validateConfigValue(configKey, value, { mode: grant?.mode || 'standard' });
+        if (errors.length) {
+            throw new ConfigValidationError(errors);
         }
         
+        // A value that needs an elevated mode is kept on that grant and ends with it
+        const onGrant = getRequiredMode(configKey, value) !== 'standard';
+        
         // Log configuration change
         this.logAction('config_update', {
             key: configKey,
-            oldValue: this.config[configKey],
+            oldValue: this.getConfig(sender)[configKey],
             newValue: value,
+            grantId: onGrant ? grant.id : null,
             timestamp: Date.now()
         });
         
-        this.config[configKey] = value;
-        await chrome.storage.local.set({ config: this.config });
+        if (onGrant) {
+            await this.modeGrants.setConfig(grant.id, configKey, value);
+        } else {
+            this.config[configKey] = value;
+            await chrome.storage.local.set({ config: this.config });
+            
+            // Otherwise the grant's value would keep hiding the one just chosen
+            if (grant && Object.hasOwn(grant.config || {}, configKey)) {
+                await this.modeGrants.setConfig(grant.id, configKey, undefined);
+            }
+        }
+        await this.applyConfigChange(configKey);
         
         return {
             success: true,
-            config: this.config,
-            safetyLevel: this.getSafetyLevel()
+            config: this.getConfig(sender),
+            riskScore: this.getRiskScore(sender),
+            safetyLevel: this.getSafetyLevel(sender)
+        };
+    }
+    
+    async applyConfigChange(configKey) {
+        // Side effects of a new value, whether the user or a managed policy set it
+        if (configKey === 'vaultAutoLockMinutes') {
+            await this.vault.setAutoLock(this.config.vaultAutoLockMinutes);
+        }
+        
+        if (configKey === 'auditRetentionDays' || configKey === 'auditMaxEvents') {
+            // Queued behind pending appends so rotation never races the chain head
+            this.auditQueue = this.auditQueue
+                .then(() => this.enforceAuditRetention())
+                .catch(error => console.error('❌ Audit rotation failed:', error));
+            await this.auditQueue;
+        }
+    }
+    
+    async handleConfigSchemaRequest(message, sender) {
+        return {
+            success: true,
+            schema: CONFIG_SCHEMA,
+            config: this.getConfig(sender),
+            modes: MODES,
+            mode: this.getMode(sender),
+            grant: this.getConfigGrant(sender),
+            riskScore: this.getRiskScore(sender),
+            safetyLevel: this.getSafetyLevel(sender),
+            thresholds: this.safetyPolicy.thresholds,
+            managed: this.managedPolicy.describe()
         };
     }
     
     async handleChallengeRequest(message, sender) {
         // SM-010: Challenge Response
         const { url, challengeType } = message;
+        const { challengeStrategy } = this.getConfig(sender);
         
         this.logAction('challenge_request', {
             url,
             challengeType,
-            strategy: this.config.challengeStrategy,
+            strategy: challengeStrategy,
             timestamp: Date.now()
         });
         
-        switch (this.config.challengeStrategy) {
+        switch (challengeStrategy) {
             case 'wait':
                 return {
                     success: true,
@@ -329,11 +887,7 @@ class EchoNateCore {
     }
     
     async attemptChallengeBypass(url, challengeType) {
-        // Only available in research mode
-        if (this.mode !== 'research') {
-            throw new Error('Challenge bypass requires research mode');
-        }
-        
+        // Research mode is enforced by the message pipeline
         this.logAction('challenge_bypass_attempt', {
             url,
             challengeType,
@@ -351,15 +905,17 @@ class EchoNateCore {
     async handleCaptchaRequest(message, sender) {
         // SM-005: CAPTCHA Handling
         const { image, type, provider } = message;
+        const correlationId = this.generateCorrelationId();
+        const { captchaMode } = this.getConfig(sender);
         
         this.logAction('captcha_request', {
             type,
             provider,
-            mode: this.config.captchaMode,
+            mode: captchaMode,
             timestamp: Date.now()
-        });
+        }, correlationId);
         
-        switch (this.config.captchaMode) {
+        switch (captchaMode) {
             case 'manual':
                 return {
                     success: true,
@@ -367,22 +923,30 @@ class EchoNateCore {
                     message: 'CAPTCHA detected. Please solve manually.'
                 };
                 
-            case 'assisted':
+            case 'assisted': {
                 // Request user confirmation first
+                const cost = this.captchaProviders.get(provider)?.cost || 0;
+                const approval = await this.requestApproval(sender, {
+                    action: 'captcha_solve',
+                    prompt: 'CAPTCHA detected. Solve using external service?',
+                    details: { type, provider, cost },
+                    correlationId
+                });
+                
                 return {
                     success: true,
                     action: 'request_confirmation',
-                    message: 'CAPTCHA detected. Solve using external service?',
+                    message: approval.prompt,
                     provider: provider,
-                    cost: this.captchaProviders.get(provider)?.cost || 0
+                    cost,
+                    correlationId,
+                    approvalId: approval.id,
+                    expiresAt: approval.expiresAt
                 };
-                
+            }
+            
             case 'automated':
-                // Only in research mode
-                if (this.mode !== 'research') {
-                    throw new Error('Automated CAPTCHA solving requires research mode');
-                }
-                
+                // Research mode is enforced by the message pipeline
                 return await this.solveCaptcha(image, type, provider);
         }
     }
@@ -414,12 +978,19 @@ class EchoNateCore {
     async handleSessionSync(message, sender) {
         // SM-007: Session Sync Verification
         const { sourceTabId, targetTabId } = message;
+        const sourceTab = await chrome.tabs.get(sourceTabId);
+        const targetTab = await chrome.tabs.get(targetTabId);
         
-        if (this.config.sessionVerification) {
-            // Verify ownership
-            const sourceTab = await chrome.tabs.get(sourceTabId);
-            const targetTab = await chrome.tabs.get(targetTabId);
-            
+        // Elevated tabs may only exchange sessions with sites in the authorization registry
+        for (const tab of [sourceTab, targetTab]) {
+            if (this.getMode({ tab }) !== 'standard' && !this.authorizations.find(tab.url, 'session_sync')) {
+                throw new PipelineError('NOT_AUTHORIZED', `${new URL(tab.url).hostname} has no active authorization for session_sync`, {
+                    feature: 'session_sync'
+                });
+            }
+        }
+        
+        if (this.getConfig(sender).sessionVerification) {
             // Basic ownership check (same window)
             if (sourceTab.windowId !== targetTab.windowId) {
                 throw new Error('Cannot sync sessions across different windows without verification');
@@ -458,22 +1029,40 @@ class EchoNateCore {
     
     async handleFormFill(message, sender) {
         // SM-006: Form Submission
-        const { formData, autoSubmit } = message;
+        const { formData, autoSubmit, failed = 0 } = message;
+        const issues = this.normalizeFormIssues(message.issues);
+        const correlationId = this.generateCorrelationId();
+        const config = this.getConfig(sender);
         
         this.logAction('form_fill', {
             fields: Object.keys(formData),
-            autoSubmit: autoSubmit && this.config.formAutoSubmit,
+            autoSubmit: autoSubmit && config.formAutoSubmit,
+            issues: issues.length,
+            failed,
             timestamp: Date.now()
-        });
+        }, correlationId);
         
-        if (autoSubmit && this.config.formAutoSubmit) {
+        if (autoSubmit && config.formAutoSubmit) {
             // SM-001: User Confirmation Layer
-            if (this.config.userConfirmation) {
+            if (config.userConfirmation) {
+                const approval = await this.requestApproval(sender, {
+                    action: 'form_submit',
+                    prompt: issues.length
+                        ? `Submit this form automatically? It still has ${issues.length} problem(s).`
+                        : 'Submit this form automatically?',
+                    details: formData,
+                    issues,
+                    correlationId
+                });
+                
                 return {
                     success: true,
                     action: 'request_confirmation',
-                    message: 'Submit this form automatically?',
-                    formData: this.sanitizeForDisplay(formData)
+                    message: approval.prompt,
+                    formData: approval.details,
+                    correlationId,
+                    approvalId: approval.id,
+                    expiresAt: approval.expiresAt
                 };
             }
         }
@@ -481,158 +1070,921 @@ class EchoNateCore {
         return {
             success: true,
             action: 'fill_only',
-            message: 'Form filled. Please review and submit manually.'
+            message: 'Form filled. Please review and submit manually.',
+            correlationId
         };
     }
     
+    normalizeFormIssues(issues = []) {
+        // Shown in the approval dialog, so only short text from the page gets through
+        return issues.slice(0, 20).map(issue => ({
+            field: String(issue?.field ?? '').slice(0, 80),
+            message: String(issue?.message ?? '').slice(0, 160)
+        })).filter(issue => issue.message);
+    }
+    
+    async handleFormFillRevert(message, sender) {
+        // SM-006: The undo is linked to the fill it reverses
+        const { fields, skipped = 0, failed = [], correlationId } = message;
+        
+        this.logAction('form_fill_reverted', {
+            fields,
+            skipped,
+            failed,
+            url: sender.tab?.url,
+            timestamp: Date.now()
+        }, correlationId);
+        
+        return { success: true };
+    }
+    
     async handleCredentials(message, sender) {
         // SM-010: Credential Storage
-        const { action, site, username, password } = message;
+        // `action` carries the message type, so the credential operation travels separately
+        const { operation, site } = message;
+        
+        // Lookalike checks only need site keys, so they work while locked
+        if (operation === 'check-origin') {
+            return this.checkCredentialOrigin(sender);
+        }
+        
+        // Fail cleanly rather than leaking ciphertext while locked
+        if (this.vault.isLocked()) return this.vaultLockedResponse();
         
-        if (action === 'store') {
-            // Encrypt credentials
-            const encrypted = await this.encryptData({ username, password });
+        switch (operation) {
+            case 'store':
+                return await this.storeCredential(site, message);
             
-            this.credentials.set(site, {
-                encrypted: encrypted,
-                storedAt: Date.now(),
-                encryption: 'AES-256-GCM'
-            });
+            case 'retrieve':
+                return await this.retrieveCredential(site, sender);
             
-            await chrome.storage.local.set({
-                credentials: Object.fromEntries(this.credentials)
-            });
+            case 'list':
+                return await this.listCredentials(message.query);
             
-            this.logAction('credential_stored', {
-                site,
-                username,
-                timestamp: Date.now()
-            });
+            case 'update':
+                return await this.updateCredential(site, message);
             
-            return {
-                success: true,
-                message: 'Credentials encrypted and stored locally'
-            };
-        }
-        
-        if (action === 'retrieve') {
-            const stored = this.credentials.get(site);
+            case 'delete':
+                return await this.deleteCredential(site);
             
-            if (!stored) {
-                throw new Error('No credentials found for this site');
-            }
+            case 'rename-site':
+                return await this.renameCredentialSite(site, message.newSite);
             
-            const decrypted = await this.decryptData(stored.encrypted);
+            case 'approve-subdomain':
+                return await this.setSubdomainApproval(site, message.host, true);
             
-            this.logAction('credential_retrieved', {
-                site,
-                timestamp: Date.now()
-            });
+            case 'revoke-subdomain':
+                return await this.setSubdomainApproval(site, message.host, false);
             
-            return {
-                success: true,
-                credentials: decrypted
-            };
+            default:
+                throw new Error(`Unknown credential operation: ${operation}`);
         }
     }
     
-    async handleAuditExport(message, sender) {
-        // SM-012: Audit Trail Export
-        if (this.config.auditStorage === 'none') {
-            return {
-                success: false,
-                message: 'Audit logging is disabled'
-            };
+    async storeCredential(site, { username, password }) {
+        if (!site) {
+            throw new Error('Site is required');
         }
         
+        // Encrypt credentials
+        const encrypted = await this.encryptData({ username, password });
+        
+        this.credentials.set(site, {
+            encrypted: encrypted,
+            storedAt: Date.now(),
+            updatedAt: Date.now(),
+            encryption: 'AES-256-GCM'
+        });
+        
+        await this.persistCredentials();
+        
+        this.logAction('credential_stored', {
+            site,
+            ...this.redactCredentialFields({ username, password }),
+            timestamp: Date.now()
+        });
+        
         return {
             success: true,
-            auditLog: this.auditLog,
-            format: 'JSON',
-            exportedAt: Date.now()
+            message: 'Credentials encrypted and stored locally'
         };
     }
     
-    async handleTermsAcceptance(message, sender) {
-        // SM-013: Terms Acceptance
-        const { accepted } = message;
+    async retrieveCredential(site, sender) {
+        const stored = this.getStoredCredential(site);
         
-        if (accepted) {
-            this.config.termsAccepted = true;
-            await chrome.storage.local.set({ termsAccepted: true });
-            
-            this.logAction('terms_accepted', {
-                timestamp: Date.now()
-            });
-            
-            return {
-                success: true,
-                message: 'Terms accepted. Full functionality enabled.'
-            };
-        }
-        
-        return {
-            success: false,
-            message: 'Terms must be accepted to use EchoNate'
-        };
+        // Content scripts only get credentials bound to the page they run on
+        if (!this.isExtensionSender(sender)) {
+            for (const host of this.getSenderHosts(sender)) {
+                // The origin check comes first, so a site is never refused its own credentials
+                if (isOriginAllowed(host, site, stored.approvedSubdomains)) continue;
+                
+                const lookalike = findLookalike(host, this.credentials.keys());
+                
+                if (lookalike) {
+                    this.logAction('credential_lookalike_blocked', {
+                        site,
+                        ...lookalike,
+                        timestamp: Date.now()
+                    });
+                    
+                    return {
+                        success: false,
+                        lookalike,
+                        error: `${lookalike.host} looks like ${lookalike.resembles}. Credentials were not released.`
+                    };
+                }
+                
+                this.logAction('credential_origin_refused', {
+                    site,
+                    host,
+                    timestamp: Date.now()
+                });
+                
+                return {
+                    success: false,
+                    error: `Credentials for ${site} are not available on ${host}`
+                };
+            }
+        }
+        
+        const decrypted = await this.decryptData(stored.encrypted);
+        
+        this.logAction('credential_retrieved', {
+            site,
+            timestamp: Date.now()
+        });
+        
+        return {
+            success: true,
+            credentials: decrypted
+        };
+    }
+    
+    async listCredentials(query = '') {
+        // Site and username only - secrets never leave the vault here
+        const entries = [];
+        const needle = query.toLowerCase();
+        
+        for (const [site, stored] of this.credentials) {
+            const { username } = await this.decryptData(stored.encrypted);
+            
+            if (needle && !site.toLowerCase().includes(needle) &&
+                !(username || '').toLowerCase().includes(needle)) {
+                continue;
+            }
+            
+            entries.push({
+                site,
+                username,
+                approvedSubdomains: stored.approvedSubdomains || [],
+                storedAt: stored.storedAt,
+                updatedAt: stored.updatedAt || stored.storedAt
+            });
+        }
+        
+        entries.sort((a, b) => a.site.localeCompare(b.site));
+        
+        return {
+            success: true,
+            credentials: entries
+        };
+    }
+    
+    async updateCredential(site, { username, password }) {
+        const stored = this.getStoredCredential(site);
+        const current = await this.decryptData(stored.encrypted);
+        
+        const changes = {};
+        if (username !== undefined) changes.username = username;
+        if (password !== undefined) changes.password = password;
+        
+        if (Object.keys(changes).length === 0) {
+            throw new Error('Nothing to update');
+        }
+        
+        this.credentials.set(site, {
+            ...stored,
+            encrypted: await this.encryptData({ ...current, ...changes }),
+            updatedAt: Date.now()
+        });
+        
+        await this.persistCredentials();
+        
+        this.logAction('credential_updated', {
+            site,
+            changes: this.redactCredentialFields(changes),
+            timestamp: Date.now()
+        });
+        
+        return {
+            success: true,
+            message: 'Credentials updated'
+        };
+    }
+    
+    async deleteCredential(site) {
+        this.getStoredCredential(site);
+        this.credentials.delete(site);
+        
+        await this.persistCredentials();
+        
+        this.logAction('credential_deleted', {
+            site,
+            timestamp: Date.now()
+        });
+        
+        return {
+            success: true,
+            message: 'Credentials deleted'
+        };
+    }
+    
+    async renameCredentialSite(site, newSite) {
+        const stored = this.getStoredCredential(site);
+        
+        if (!newSite) {
+            throw new Error('New site is required');
+        }
+        
+        if (this.credentials.has(newSite)) {
+            throw new Error('Credentials already exist for the new site');
+        }
+        
+        this.credentials.delete(site);
+        this.credentials.set(newSite, { ...stored, updatedAt: Date.now() });
+        
+        await this.persistCredentials();
+        
+        this.logAction('credential_site_renamed', {
+            from: site,
+            to: newSite,
+            timestamp: Date.now()
+        });
+        
+        return {
+            success: true,
+            message: `Credentials moved to ${newSite}`
+        };
+    }
+    
+    async setSubdomainApproval(site, host, approved) {
+        const stored = this.getStoredCredential(site);
+        const subdomain = normalizeHost(host);
+        
+        if (approved && !isSameRegistrableDomain(subdomain, site)) {
+            throw new Error(`${subdomain} is not a subdomain of ${site}`);
+        }
+        
+        const current = new Set(stored.approvedSubdomains || []);
+        approved ? current.add(subdomain) : current.delete(subdomain);
+        
+        this.credentials.set(site, { ...stored, approvedSubdomains: [...current] });
+        await this.persistCredentials();
+        
+        this.logAction(approved ? 'credential_subdomain_approved' : 'credential_subdomain_revoked', {
+            site,
+            host: subdomain,
+            timestamp: Date.now()
+        });
+        
+        return {
+            success: true,
+            message: `${subdomain} ${approved ? 'approved' : 'revoked'} for ${site}`
+        };
+    }
+    
+    checkCredentialOrigin(sender) {
+        for (const host of this.getSenderHosts(sender)) {
+            const lookalike = findLookalike(host, this.credentials.keys());
+            
+            if (lookalike) {
+                this.logAction('credential_lookalike_detected', {
+                    ...lookalike,
+                    timestamp: Date.now()
+                });
+                
+                return { success: true, lookalike };
+            }
+        }
+        
+        return { success: true, lookalike: null };
+    }
+    
+    getSenderHosts(sender) {
+        // Both the top-level page and the sending frame must pass
+        const urls = [sender.tab?.url, sender.url].filter(Boolean);
+        return [...new Set(urls.map(url => normalizeHost(url)))];
+    }
+    
+    isExtensionSender(sender) {
+        return sender.id === chrome.runtime.id &&
+            (sender.url || '').startsWith(chrome.runtime.getURL(''));
+    }
+    
+    getStoredCredential(site) {
+        const stored = this.credentials.get(site);
+        
+        if (!stored) {
+            throw new Error('No credentials found for this site');
+        }
+        
+        return stored;
+    }
+    
+    async persistCredentials() {
+        await chrome.storage.local.set({
+            credentials: { ...this.unmigratedCredentials, ...Object.fromEntries(this.credentials) }
+        });
+    }
+    
+    redactCredentialFields({ username, password }) {
+        // Only fields that changed; the password itself never reaches the log, redacted or not
+        const fields = {};
+        if (username !== undefined) fields.username = this.sanitizeForDisplay({ username }).username;
+        if (password !== undefined) fields.passwordChanged = true;
+        
+        return fields;
+    }
+    
+    async handleVaultUnlock(message, sender) {
+        // SM-010: Credential Storage
+        const { passphrase } = message;
+        
+        const result = await this.vault.unlock(passphrase);
+        
+        this.logAction(result.created ? 'vault_created' : 'vault_unlocked', {
+            autoLockMinutes: this.config.vaultAutoLockMinutes,
+            timestamp: Date.now()
+        });
+        
+        const upgraded = await this.upgradeLegacyCredentials();
+        
+        return {
+            success: true,
+            created: result.created,
+            upgradedCredentials: upgraded,
+            message: result.created ? 'Vault created and unlocked' : 'Vault unlocked'
+        };
+    }
+    
+    async upgradeLegacyCredentials() {
+        // Entries from before the vault were only base64; the key exists once the vault is unlocked
+        const sites = Object.keys(this.legacyCredentials);
+        if (!sites.length) return [];
+        
+        const upgraded = [];
+        for (const site of sites) {
+            const legacy = this.legacyCredentials[site];
+            
+            try {
+                const { username, password } = JSON.parse(atob(legacy.encrypted));
+                
+                // A credential saved through the vault since the update is newer
+                if (!this.credentials.has(site)) {
+                    this.credentials.set(site, {
+                        encrypted: await this.encryptData({ username, password }),
+                        storedAt: legacy.storedAt || Date.now(),
+                        updatedAt: Date.now(),
+                        encryption: 'AES-256-GCM'
+                    });
+                    upgraded.push(site);
+                }
+            } catch (error) {
+                console.warn(`⚠️  Dropping unreadable legacy credential for ${site}`);
+            }
+            
+            delete this.legacyCredentials[site];
+        }
+        
+        await this.persistCredentials();
+        await chrome.storage.local.remove('legacyCredentials');
+        
+        this.logAction('credentials_upgraded', {
+            sites: upgraded,
+            dropped: sites.length - upgraded.length,
+            timestamp: Date.now()
+        });
+        
+        return upgraded;
+    }
+    
+    async handleVaultLock(message, sender) {
+        await this.vault.lock('manual');
+        
+        return {
+            success: true,
+            message: 'Vault locked'
+        };
+    }
+    
+    async handleAuditExport(message, sender) {
+        // SM-012: Audit Trail Export
+        if (this.getConfig(sender).auditStorage === 'none') {
+            return {
+                success: false,
+                message: 'Audit logging is disabled'
+            };
+        }
+        
+        const format = message.format || 'json';
+        const filters = this.normalizeAuditFilters(message.filters);
+        
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        
+        await this.auditQueue;
+        const events = await this.auditStore.getEvents(filters);
+        
+        // Signed so the file can be verified later with tools/verify-audit-export.mjs
+        const signedExport = await this.auditSigner.createSignedExport(
+            events,
+            Object.keys(filters).length ? { filters } : {}
+        );
+        
+        const renderers = {
+            json: () => JSON.stringify(signedExport, null, 2),
+            ndjson: () => toNDJSON(events),
+            csv: () => toCSV(events),
+            html: () => toHTMLReport(events, signedExport)
+        };
+        
+        this.logAction('audit_exported', {
+            format,
+            filters,
+            eventCount: signedExport.eventCount,
+            range: signedExport.range,
+            keyFingerprint: signedExport.keyFingerprint,
+            timestamp: Date.now()
+        });
+        
+        return {
+            success: true,
+            format,
+            content: renderers[format](),
+            mimeType: EXPORT_FORMATS[format].mimeType,
+            extension: EXPORT_FORMATS[format].extension,
+            eventCount: signedExport.eventCount,
+            signed: format === 'json',
+            keyFingerprint: signedExport.keyFingerprint,
+            exportedAt: Date.now()
+        };
+    }
+    
+    normalizeAuditFilters(filters = {}) {
+        // Drop empty fields so an unfiltered export stays a contiguous chain
+        const normalized = {};
+        
+        if (filters.from) normalized.from = new Date(filters.from).toISOString();
+        if (filters.to) normalized.to = new Date(filters.to).toISOString();
+        if (filters.actions?.length) normalized.actions = filters.actions;
+        if (filters.domain) normalized.domain = filters.domain.trim().toLowerCase();
+        if (filters.mode) normalized.mode = filters.mode;
+        
+        return normalized;
+    }
+    
+    async handleAuditVerify(message, sender) {
+        // SM-012: Audit Trail Integrity
+        await this.auditQueue;
+        
+        // Rotated segments are archived, so the live chain starts at the last archived hash
+        const events = await this.auditStore.getAll();
+        const result = await verifyChain(events, this.auditStore.anchorHash);
+        
+        return {
+            success: true,
+            valid: result.valid,
+            checked: result.checked,
+            total: events.length,
+            brokenAt: result.brokenAt
+        };
+    }
+    
+    async handleAuditQuery(message, sender) {
+        // SM-012: Audit Trail Viewer
+        await this.auditQueue;
+        
+        const result = await this.auditStore.search(message.query || {});
+        
+        return {
+            success: true,
+            ...result
+        };
+    }
+    
+    async handleAuditArchiveList(message, sender) {
+        // Events rotated out by retention stay here until exported and deleted
+        await this.auditQueue;
+        
+        return {
+            success: true,
+            archives: await this.auditStore.listArchives()
+        };
+    }
+    
+    async handleAuditArchiveExport(message, sender) {
+        await this.auditQueue;
+        
+        const segment = await this.auditStore.getArchive(message.segmentId);
+        if (!segment) {
+            throw new Error('Unknown archive segment');
+        }
+        
+        // Signed like a full export; the anchor links the segment to the events before it
+        const signedExport = await this.auditSigner.createSignedExport(segment.events, {
+            segmentId: segment.segmentId,
+            anchorHash: segment.anchorHash
+        });
+        const summary = await this.auditStore.markArchiveExported(segment.segmentId);
+        
+        this.logAction('audit_archive_exported', {
+            segmentId: summary.segmentId,
+            eventCount: summary.eventCount,
+            range: signedExport.range,
+            keyFingerprint: signedExport.keyFingerprint,
+            timestamp: Date.now()
+        });
+        
+        return {
+            success: true,
+            archive: summary,
+            content: JSON.stringify(signedExport, null, 2),
+            mimeType: EXPORT_FORMATS.json.mimeType,
+            extension: EXPORT_FORMATS.json.extension,
+            eventCount: signedExport.eventCount,
+            keyFingerprint: signedExport.keyFingerprint
+        };
+    }
+    
+    async handleAuditArchiveDelete(message, sender) {
+        await this.auditQueue;
+        
+        const summary = await this.auditStore.deleteArchive(message.segmentId);
+        
+        this.logAction('audit_archive_deleted', {
+            segmentId: summary.segmentId,
+            eventCount: summary.eventCount,
+            from: summary.from,
+            to: summary.to,
+            exportedAt: summary.exportedAt,
+            timestamp: Date.now()
+        });
+        
+        return {
+            success: true,
+            archive: summary
+        };
+    }
+    
+    async requestApproval(sender, { action, prompt, details, issues = [], correlationId }) {
+        // SM-001: Decided in the popup or a notification, never in the requesting page
+        const approval = await this.approvals.create({
+            action,
+            prompt,
+            details: this.sanitizeForDisplay(details),
+            issues: this.sanitizeForDisplay(issues),
+            correlationId,
+            origin: {
+                tabId: sender.tab?.id ?? null,
+                url: sender.tab?.url || sender.url || null,
+                title: sender.tab?.title || null
+            }
+        });
+        
+        this.logAction('approval_requested', {
+            approvalId: approval.id,
+            action,
+            url: approval.origin.url,
+            expiresAt: new Date(approval.expiresAt).toISOString(),
+            timestamp: Date.now()
+        }, correlationId);
+        
+        return approval;
+    }
+    
+    async handleApprovalList(message, sender) {
+        return {
+            success: true,
+            approvals: this.approvals.listPending()
+        };
+    }
+    
+    async handleApprovalResolve(message, sender) {
+        const { approvalId, approved } = message;
+        const approval = await this.approvals.resolve(approvalId, approved, 'popup');
+        
+        return { success: true, approval };
+    }
+    
+    async handleApprovalAwait(message, sender) {
+        const approval = this.approvals.get(message.approvalId);
+        
+        // Only the tab that raised the request learns its outcome
+        if (!approval || approval.origin.tabId !== sender.tab?.id) {
+            throw new Error('Unknown approval');
+        }
+        
+        const decided = await this.approvals.waitFor(approval.id);
+        
+        return {
+            success: true,
+            approvalId: decided.id,
+            status: decided.status,
+            approved: decided.status === 'approved'
+        };
+    }
+    
+    async handleRedactionSettingsRequest(message, sender) {
+        return {
+            success: true,
+            detectors: BUILT_IN_DETECTORS.map(({ id, label, fixed = false }) => ({ id, label, fixed })),
+            settings: this.redactor.getSettings()
+        };
+    }
+    
+    async handleRedactionSettingsUpdate(message, sender) {
+        const { settings } = message;
+        
+        // Throws on an invalid pattern before anything is persisted
+        this.redactor.setSettings(settings);
+        await chrome.storage.local.set({ redactionSettings: this.redactor.getSettings() });
+        
+        this.logAction('redaction_rules_updated', {
+            disabledDetectors: settings.disabledDetectors || [],
+            rules: (settings.rules || []).map(rule => rule.name),
+            timestamp: Date.now()
+        });
+        
+        return { success: true, settings: this.redactor.getSettings() };
+    }
+    
+    async handleRedactionPreview(message, sender) {
+        // Nothing is logged here - the sample may be exactly the data being protected
+        const { sample } = message;
+        const { value, findings } = this.redactor.redact(sample);
+        
+        return { success: true, redacted: value, findings };
+    }
+    
+    async handleAuthorizationList(message, sender) {
+        return {
+            success: true,
+            authorizations: this.authorizations.list(),
+            features: AUTHORIZATION_FEATURES
+        };
+    }
+    
+    async handleAuthorizationSave(message, sender) {
+        const { entry, created } = await this.authorizations.save(message.authorization);
+        
+        this.logAction(created ? 'authorization_added' : 'authorization_updated', {
+            authorizationId: entry.id,
+            pattern: entry.pattern,
+            owner: entry.owner,
+            reference: entry.reference,
+            validFrom: entry.validFrom,
+            validUntil: entry.validUntil,
+            features: entry.features,
+            timestamp: Date.now()
+        });
+        
+        return { success: true, authorization: entry };
+    }
+    
+    async handleAuthorizationDelete(message, sender) {
+        const entry = await this.authorizations.remove(message.id);
+        if (!entry) throw new Error('Unknown authorization');
+        
+        this.logAction('authorization_removed', {
+            authorizationId: entry.id,
+            pattern: entry.pattern,
+            reference: entry.reference,
+            timestamp: Date.now()
+        });
+        
+        return { success: true, id: entry.id };
+    }
+    
+    async handleAuthorizationCheck(message, sender) {
+        // The popup asks about its active tab
+        const { url, tabId } = message;
+        const authorizations = this.authorizations.findActive(url);
+        
+        return {
+            success: true,
+            inScope: authorizations.length > 0,
+            mode: this.getMode({ tab: { id: tabId, url } }),
+            authorizations
+        };
+    }
+    
+    async handleProfileList(message, sender) {
+        return {
+            success: true,
+            profiles: this.profiles.list(),
+            kinds: PROFILE_KINDS,
+            fields: PROFILE_FIELDS,
+            locked: this.vault.isLocked()
+        };
+    }
+    
+    async handleProfileGet(message, sender) {
+        if (this.vault.isLocked()) return this.vaultLockedResponse();
+        
+        const profile = await this.profiles.get(message.id);
+        if (!profile) throw new Error('Unknown profile');
+        
+        return { success: true, profile };
+    }
+    
+    async handleProfileSave(message, sender) {
+        if (this.vault.isLocked()) return this.vaultLockedResponse();
+        
+        const { entry, created } = await this.profiles.save(message.profile);
+        
+        // Field names only; the values are exactly what the vault protects
+        this.logAction(created ? 'profile_added' : 'profile_updated', {
+            profileId: entry.id,
+            name: entry.name,
+            kind: entry.kind,
+            fields: entry.fields,
+            timestamp: Date.now()
+        });
+        
+        return { success: true, profile: entry };
+    }
+    
+    async handleProfileDelete(message, sender) {
+        const entry = await this.profiles.remove(message.id);
+        if (!entry) throw new Error('Unknown profile');
+        
+        this.logAction('profile_removed', {
+            profileId: entry.id,
+            name: entry.name,
+            timestamp: Date.now()
+        });
+        
+        return { success: true, id: entry.id };
+    }
+    
+    async handleProfilesForForm(message, sender) {
+        // Metadata only, so pages can be offered a fill without any values leaving the vault
+        return {
+            success: true,
+            profiles: this.profiles.findForForm(message.formType),
+            locked: this.vault.isLocked()
+        };
+    }
+    
+    async handleProfileRetrieve(message, sender) {
+        // The user picked this profile from the fill offer on the page
+        const { profileId, formType } = message;
+        const spec = FORM_TYPE_FIELDS[formType];
+        
+        if (!spec) throw new Error(`No profile fields for ${formType} forms`);
+        if (this.vault.isLocked()) return this.vaultLockedResponse();
+        
+        const profile = await this.profiles.get(profileId, spec.fields);
+        if (!profile) throw new Error('Unknown profile');
+        
+        this.logAction('profile_retrieved', {
+            profileId,
+            name: profile.name,
+            formType,
+            fields: Object.keys(profile.values),
+            url: sender.tab?.url,
+            timestamp: Date.now()
+        });
+        
+        return { success: true, profile };
+    }
+    
+    vaultLockedResponse() {
+        return {
+            success: false,
+            locked: true,
+            code: 'VAULT_LOCKED',
+            error: 'Credential vault is locked'
+        };
+    }
+    
+    async handleTermsAcceptance(message, sender) {
+        // SM-013: Terms Acceptance
+        const { accepted, termsHash } = message;
+        
+        if (accepted) {
+            // The popup names the version it showed; a stale copy cannot be accepted
+            if (termsHash !== this.terms.hash) {
+                return {
+                    success: false,
+                    code: 'TERMS_REQUIRED',
+                    message: 'The Terms of Service changed. Review the current version and accept again.',
+                    terms: this.terms
+                };
+            }
+            
+            const previous = this.termsAcceptance;
+            this.termsAcceptance = {
+                version: this.terms.version,
+                effectiveDate: this.terms.effectiveDate,
+                hash: this.terms.hash,
+                acceptedAt: Date.now()
+            };
+            this.termsGap = null;
+            this.config.termsAccepted = true;
+            
+            await chrome.storage.local.set({ termsAcceptance: this.termsAcceptance });
+            await chrome.storage.local.remove('termsAccepted');
+            
+            this.logAction('terms_accepted', {
+                version: this.termsAcceptance.version,
+                hash: this.termsAcceptance.hash,
+                previousVersion: previous?.version || null,
+                timestamp: this.termsAcceptance.acceptedAt
+            });
+            
+            return {
+                success: true,
+                message: 'Terms accepted. Full functionality enabled.',
+                acceptance: this.termsAcceptance
+            };
+        }
+        
+        return {
+            success: false,
+            code: 'TERMS_REQUIRED',
+            message: 'Terms must be accepted to use EchoNate'
+        };
     }
     
     // ===== UTILITY FUNCTIONS =====
     
-    logAction(action, details) {
-        // SM-003: Action Logging
-        if (!this.config.actionLogging) return;
+    logAction(action, details, correlationId = null) {
+        // SM-003: Action Logging. Events have no sender, so a research grant that turns
+        // logging off does so everywhere while it lasts, like the mode recorded below.
+        if (!this.getConfig().actionLogging) return;
         
         const event = {
             id: this.generateEventId(),
             timestamp: new Date().toISOString(),
             action: action,
-            details: details,
-            mode: this.mode,
+            // Redaction happens before hashing so the chain never covers raw PII
+            details: this.redactor.redact(details).value,
+            mode: this.getMode(),
             safetyLevel: this.getSafetyLevel()
         };
         
-        this.auditLog.push(event);
+        // Links follow-up events (e.g. a confirmation) to the request that caused them
+        if (correlationId) event.correlationId = correlationId;
         
-        // Persist to storage
-        if (this.config.auditStorage === 'local') {
-            chrome.storage.local.set({ auditLog: this.auditLog });
-        }
+        // Hashing is async, so appends are queued to keep the chain in order
+        this.auditQueue = this.auditQueue
+            .then(() => this.appendAuditEvent(event))
+            .catch(error => console.error('❌ Audit append failed:', error));
         
         return event.id;
     }
     
+    async appendAuditEvent(event) {
+        // 'none' keeps events out of persistent storage entirely
+        if (this.getConfig().auditStorage !== 'local') return;
+        
+        await chainEvent(event, this.auditStore.getHeadHash());
+        await this.auditStore.append(event);
+        
+        // Rotation is cheap to skip, so only check periodically
+        if (++this.appendsSinceRetention >= 500) {
+            this.appendsSinceRetention = 0;
+            await this.enforceAuditRetention();
+        }
+    }
+    
     generateEventId() {
         return `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
     
+    generateCorrelationId() {
+        return `cor_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+    
     generateAuditId() {
         return `aud_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
     
     sanitizeForDisplay(data) {
-        // Remove sensitive fields for display
-        const sanitized = { ...data };
-        const sensitiveFields = ['password', 'ssn', 'creditCard', 'cvv'];
-        
-        for (const field of sensitiveFields) {
-            if (sanitized[field]) {
-                sanitized[field] = '***REDACTED***';
-            }
-        }
-        
-        return sanitized;
+        // Same detectors and rules as the audit trail
+        return this.redactor.redact(data).value;
     }
     
     async encryptData(data) {
-        // Placeholder for encryption
-        // In production, use Web Crypto API
-        return btoa(JSON.stringify(data));
+        // AES-256-GCM under the passphrase-derived vault key
+        return this.vault.encrypt(data);
     }
     
     async decryptData(encrypted) {
-        // Placeholder for decryption
-        return JSON.parse(atob(encrypted));
+        return this.vault.decrypt(encrypted);
     }
 }
 
@@ -0,0 +1,81 @@
+/**
+ * EchoNate v2.0 - Managed Policy
+ * Enterprise settings from chrome.storage.managed, described by policies/managed-schema.json
+ */
+
+import { MODES, validateConfigValue } from './config-schema.js';
+
+export class ManagedPolicy {
+    constructor() {
+        this.lockedConfig = {};
+        this.maxMode = 'research';
+        this.onChange = null; // () => void, set by the core to re-apply the policy
+    }
+    
+    async load() {
+        let managed = {};
+        
+        try {
+            managed = await chrome.storage.managed.get(null);
+        } catch (error) {
+            // No policy is deployed, or this platform has no managed storage
+        }
+        
+        this.lockedConfig = {};
+        for (const [key, value] of Object.entries(managed.lockedConfig || {})) {
+            // Admins may force any valid value, whatever mode it would normally need
+            const problems = validateConfigValue(key, value);
+            if (problems.length) {
+                console.warn('⚠️  Ignoring invalid managed setting:', problems);
+                continue;
+            }
+            this.lockedConfig[key] = value;
+        }
+        
+        this.maxMode = MODES.includes(managed.maxMode) ? managed.maxMode : 'research';
+    }
+    
+    listen() {
+        chrome.storage.onChanged.addListener(async (changes, areaName) => {
+            if (areaName !== 'managed') return;
+            
+            await this.load();
+            if (this.onChange) this.onChange();
+        });
+    }
+    
+    isActive() {
+        return Object.keys(this.lockedConfig).length > 0 || this.maxMode !== 'research';
+    }
+    
+    isLocked(key) {
+        return Object.hasOwn(this.lockedConfig, key);
+    }
+    
+    allowsMode(mode) {
+        return MODES.indexOf(mode) <= MODES.indexOf(this.maxMode);
+    }
+    
+    /**
+     * Forces locked values into `config` and returns the keys whose value changed.
+     */
+    apply(config) {
+        const changed = [];
+        
+        for (const [key, value] of Object.entries(this.lockedConfig)) {
+            if (config[key] !== value) {
+                changed.push({ key, from: config[key], to: value });
+                config[key] = value;
+            }
+        }
+        
+        return changed;
+    }
+    
+    describe() {
+        return {
+            lockedKeys: Object.keys(this.lockedConfig),
+            maxMode: this.maxMode
+        };
+    }
+}
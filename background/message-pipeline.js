@@ -0,0 +1,276 @@
+/**
+ * EchoNate v2.0 - Message Pipeline
+ * Every runtime message passes the same gates before reaching its handler
+ */
+
+import '../shared/protocol.js';
+import { MODES } from './config-schema.js';
+
+const { VERSION, ERROR_CODES, validateRequest, validateResponse, isCompatible } = globalThis.EchoNateProtocol;
+
+const UI = ['popup', 'extension'];
+const CONTENT = ['content'];
+const ANY = [...UI, ...CONTENT];
+
+const RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_RATE_LIMIT = 120; // Messages per action, per sender, per minute
+
+/**
+ * Per-action policy:
+ *   terms      - require accepted terms (default true)
+ *   minMode    - lowest mode allowed, or a function of { mode, config } returning one
+ *   senders    - sender types allowed to send the action
+ *   operations - per sender type, the `operation` values that sender may use
+ *   rateLimit  - messages per minute per sender
+ *   feature    - authorization registry feature a page needs before elevated modes may run the action
+ */
+export const ACTION_POLICIES = {
+    'GET_STATUS': { senders: ANY, terms: false },
+    'EXPLAIN_SAFETY': { senders: UI, terms: false },
+    'ACCEPT_TERMS': { senders: UI, terms: false, rateLimit: 10 },
+    'CHANGE_MODE': { senders: UI, rateLimit: 10 },
+    'REVOKE_MODE_GRANT': { senders: UI, rateLimit: 30 },
+    'UPDATE_CONFIG': { senders: UI, rateLimit: 30 },
+    'GET_CONFIG_SCHEMA': { senders: UI, terms: false },
+    'HANDLE_CHALLENGE': {
+        senders: CONTENT,
+        minMode: ({ config }) => config.challengeStrategy === 'bypass' ? 'research' : 'standard',
+        rateLimit: 20
+    },
+    'SOLVE_CAPTCHA': {
+        senders: CONTENT,
+        minMode: ({ config }) => config.captchaMode === 'automated' ? 'research' : 'standard',
+        rateLimit: 10
+    },
+    'SYNC_SESSION': { senders: UI, rateLimit: 20 },
+    'FILL_FORM': { senders: CONTENT, feature: 'form_fill', rateLimit: 30 },
+    // Undo stays available even if the site's authorization lapsed after the fill
+    'REVERT_FORM_FILL': { senders: CONTENT, rateLimit: 30 },
+    'MANAGE_CREDENTIALS': {
+        senders: ANY,
+        operations: { content: ['retrieve', 'check-origin'] },
+        rateLimit: 60
+    },
+    'UNLOCK_VAULT': { senders: UI, rateLimit: 5 },
+    'LOCK_VAULT': { senders: UI, terms: false },
+    'EXPORT_AUDIT': { senders: UI, terms: false, rateLimit: 10 },
+    'VERIFY_AUDIT': { senders: UI, terms: false, rateLimit: 30 },
+    'QUERY_AUDIT': { senders: UI, terms: false },
+    'LIST_AUDIT_ARCHIVES': { senders: UI, terms: false },
+    'EXPORT_AUDIT_ARCHIVE': { senders: UI, terms: false, rateLimit: 10 },
+    'DELETE_AUDIT_ARCHIVE': { senders: UI, terms: false, rateLimit: 10 },
+    'LIST_APPROVALS': { senders: UI, terms: false },
+    'RESOLVE_APPROVAL': { senders: UI, rateLimit: 60 },
+    'AWAIT_APPROVAL': { senders: CONTENT, rateLimit: 30 },
+    'GET_REDACTION_SETTINGS': { senders: UI, terms: false },
+    'UPDATE_REDACTION_SETTINGS': { senders: UI, terms: false, rateLimit: 30 },
+    'PREVIEW_REDACTION': { senders: UI, terms: false },
+    'LIST_AUTHORIZATIONS': { senders: UI, terms: false },
+    'SAVE_AUTHORIZATION': { senders: UI, rateLimit: 30 },
+    'DELETE_AUTHORIZATION': { senders: UI, rateLimit: 30 },
+    'CHECK_AUTHORIZATION': { senders: UI, terms: false },
+    'LIST_PROFILES': { senders: UI },
+    'GET_PROFILE': { senders: UI, rateLimit: 60 },
+    'SAVE_PROFILE': { senders: UI, rateLimit: 30 },
+    'DELETE_PROFILE': { senders: UI, rateLimit: 30 },
+    'GET_PROFILES_FOR_FORM': { senders: CONTENT, feature: 'form_fill', rateLimit: 60 },
+    'RETRIEVE_PROFILE': { senders: CONTENT, feature: 'form_fill', rateLimit: 20 }
+};
+
+export class PipelineError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'PipelineError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class MessagePipeline {
+    constructor({ handlers, policies = ACTION_POLICIES, ready = Promise.resolve(), getContext, log }) {
+        this.handlers = handlers;
+        this.ready = ready; // Settles when the core has finished initializing
+        this.policies = policies;
+        this.getContext = getContext; // (sender) => { mode, config, safetyLevel, safetyPolicy, authorizations }
+        this.log = log;
+        this.rateBuckets = new Map();
+    }
+    
+    canHandle(action) {
+        return !!this.handlers[action];
+    }
+    
+    async dispatch(message, sender) {
+        const senderType = getSenderType(sender);
+        
+        try {
+            await this.ready;
+        } catch (error) {
+            // Nothing is loaded, so there is nothing to gate on and no audit trail to log to
+            return {
+                success: false,
+                error: `EchoNate failed to start: ${error.message}`,
+                code: ERROR_CODES.NOT_READY,
+                protocolVersion: VERSION
+            };
+        }
+        
+        try {
+            this.checkProtocol(message);
+            this.checkGates(message, sender, senderType);
+            
+            const response = await this.handlers[message.action](message, sender);
+            return this.shapeResponse(message.action, response);
+        } catch (error) {
+            return this.shapeError(error, message, sender, senderType);
+        }
+    }
+    
+    checkProtocol(message) {
+        // A content script left running across an update still speaks the old version
+        if (!isCompatible(message)) {
+            throw new PipelineError(ERROR_CODES.VERSION_MISMATCH,
+                `Protocol version ${message.protocolVersion ?? 'none'} is not supported, expected ${VERSION}`,
+                { expected: VERSION });
+        }
+        
+        const problems = validateRequest(message);
+        if (problems.length) {
+            throw new PipelineError(ERROR_CODES.INVALID_REQUEST, problems.map(p => p.message).join('; '), {
+                errors: problems
+            });
+        }
+    }
+    
+    checkGates(message, sender, senderType) {
+        // Unlisted actions get the strictest policy rather than none
+        const policy = this.policies[message.action] || { senders: UI };
+        const { mode, config, safetyLevel, safetyPolicy, authorizations } = this.getContext(sender);
+        
+        // 1. SM-013: Terms Acceptance Gate
+        if (policy.terms !== false && !config.termsAccepted) {
+            throw new PipelineError(ERROR_CODES.TERMS_REQUIRED, 'Terms must be accepted to use EchoNate');
+        }
+        
+        // 2. SM-002: Minimum mode
+        const minMode = typeof policy.minMode === 'function'
+            ? policy.minMode({ mode, config })
+            : (policy.minMode || 'standard');
+        
+        if (MODES.indexOf(mode) < MODES.indexOf(minMode)) {
+            throw new PipelineError(ERROR_CODES.MODE_REQUIRED, `${message.action} requires ${minMode} mode`, {
+                requiredMode: minMode
+            });
+        }
+        
+        // 3. Sender type, and the operations that sender may use
+        if (!policy.senders.includes(senderType)) {
+            throw new PipelineError(ERROR_CODES.SENDER_NOT_ALLOWED, `${message.action} is not available to ${senderType} senders`);
+        }
+        
+        const operations = policy.operations?.[senderType];
+        if (operations && !operations.includes(message.operation)) {
+            throw new PipelineError(ERROR_CODES.SENDER_NOT_ALLOWED, `${message.operation} is not available to ${senderType} senders`);
+        }
+        
+        // 4. Site policy: the page may cap the safety level EchoNate acts at
+        const pageUrl = sender.tab?.url;
+        const siteRule = pageUrl && safetyPolicy?.checkAction(message.action, pageUrl, safetyLevel);
+        if (siteRule) {
+            throw new PipelineError(ERROR_CODES.SITE_POLICY_BLOCKED,
+                siteRule.reason || `${message.action} is blocked on ${siteRule.match} above ${siteRule.maxLevel} safety level`, {
+                    site: siteRule.match,
+                    maxLevel: siteRule.maxLevel,
+                    safetyLevel
+                });
+        }
+        
+        // 5. Authorization registry: elevated modes only run gated features on registered sites
+        if (policy.feature && mode !== 'standard' && pageUrl && !authorizations?.find(pageUrl, policy.feature)) {
+            throw new PipelineError(ERROR_CODES.NOT_AUTHORIZED,
+                `${new URL(pageUrl).hostname} has no active authorization for ${policy.feature}`, {
+                    feature: policy.feature
+                });
+        }
+        
+        // 6. SM-004: Per-action rate limit
+        this.checkRateLimit(message.action, sender, senderType, policy.rateLimit || DEFAULT_RATE_LIMIT);
+    }
+    
+    checkRateLimit(action, sender, senderType, limit) {
+        const key = `${action}:${senderType === 'content' ? sender.tab?.id : senderType}`;
+        const now = Date.now();
+        let bucket = this.rateBuckets.get(key);
+        
+        if (!bucket || now - bucket.windowStart >= RATE_WINDOW_MS) {
+            bucket = { windowStart: now, count: 0 };
+            this.rateBuckets.set(key, bucket);
+        }
+        
+        if (++bucket.count > limit) {
+            throw new PipelineError(ERROR_CODES.RATE_LIMITED, `Too many ${action} requests, try again shortly`, {
+                retryAfterMs: bucket.windowStart + RATE_WINDOW_MS - now,
+                // Only the first rejection in a window reaches the audit trail
+                firstInWindow: bucket.count === limit + 1
+            });
+        }
+    }
+    
+    shapeResponse(action, response) {
+        // Handlers that report failure without throwing still get a code and an error string
+        if (!response || typeof response.success !== 'boolean') {
+            throw new Error(`${action} returned no response`);
+        }
+        
+        if (!response.success) {
+            return {
+                ...response,
+                error: response.error || response.message || 'Request failed',
+                code: response.code || ERROR_CODES.HANDLER_ERROR,
+                protocolVersion: VERSION
+            };
+        }
+        
+        const problems = validateResponse(action, response);
+        if (problems.length) {
+            console.warn(`⚠️  ${action} response does not match the protocol:`, problems);
+        }
+        
+        return { ...response, protocolVersion: VERSION };
+    }
+    
+    shapeError(error, message, sender, senderType) {
+        const code = error.code || ERROR_CODES.HANDLER_ERROR;
+        const { firstInWindow, ...details } = error.details || {};
+        
+        if (code !== ERROR_CODES.RATE_LIMITED || firstInWindow) {
+            this.log(error instanceof PipelineError ? 'message_rejected' : 'message_failed', {
+                messageAction: message.action,
+                operation: message.operation,
+                code,
+                error: error.message,
+                senderType,
+                url: sender.tab?.url || sender.url,
+                timestamp: Date.now()
+            });
+        }
+        
+        return {
+            success: false,
+            error: error.message,
+            code,
+            ...details,
+            ...(error.errors && { errors: error.errors }),
+            protocolVersion: VERSION
+        };
+    }
+}
+
+export function getSenderType(sender) {
+    if (sender.id !== chrome.runtime.id) return 'external';
+    
+    const url = sender.url || '';
+    if (!url.startsWith(chrome.runtime.getURL(''))) return 'content';
+    
+    return url.startsWith(chrome.runtime.getURL('popup/')) ? 'popup' : 'extension';
+}
@@ -0,0 +1,146 @@
+/**
+ * EchoNate v2.0 - Mode Grants
+ * SM-002: Advanced and research modes are time-boxed grants scoped to a tab or an origin.
+ * Setting values that need an elevated mode are stored on the grant and end with it.
+ */
+
+import { MODES } from './config-schema.js';
+
+const STORAGE_KEY = 'modeGrants';
+const ALARM_PREFIX = 'modeGrant:';
+
+export const GRANT_SCOPES = ['tab', 'origin'];
+export const MAX_GRANT_MINUTES = 240;
+
+export class ModeGrants {
+    constructor() {
+        this.grants = new Map();
+        this.onChange = null; // (event, grant) => void with event 'granted' | 'reverted', set by the core for audit logging
+    }
+    
+    async initialize() {
+        // Local storage and alarms both survive restarts, so a grant still reverts on time
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        for (const grant of stored[STORAGE_KEY] || []) {
+            this.grants.set(grant.id, grant);
+        }
+        
+        // Grants that ran out, or whose tab went away, while the worker was stopped
+        for (const grant of this.list({ includeExpired: true })) {
+            if (grant.expiresAt <= Date.now()) {
+                await this.revoke(grant.id, 'expired');
+            } else if (grant.scope.type === 'tab' && !(await chrome.tabs.get(grant.scope.tabId).catch(() => null))) {
+                await this.revoke(grant.id, 'tab_closed');
+            } else {
+                chrome.alarms.create(ALARM_PREFIX + grant.id, { when: grant.expiresAt });
+            }
+        }
+    }
+    
+    handleAlarm(alarm) {
+        if (!alarm.name.startsWith(ALARM_PREFIX)) return;
+        this.revoke(alarm.name.slice(ALARM_PREFIX.length), 'expired');
+    }
+    
+    handleTabRemoved(tabId) {
+        for (const grant of this.list()) {
+            if (grant.scope.type === 'tab' && grant.scope.tabId === tabId) this.revoke(grant.id, 'tab_closed');
+        }
+    }
+    
+    async grant({ mode, scope, durationMinutes, justification, acknowledgementId = null }) {
+        const now = Date.now();
+        const grant = {
+            id: `grant_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            mode,
+            scope,
+            justification,
+            acknowledgementId,
+            durationMinutes,
+            grantedAt: now,
+            expiresAt: now + durationMinutes * 60 * 1000,
+            config: {} // Setting values that only apply within this grant
+        };
+        
+        this.grants.set(grant.id, grant);
+        chrome.alarms.create(ALARM_PREFIX + grant.id, { when: grant.expiresAt });
+        await this.persist();
+        
+        if (this.onChange) this.onChange('granted', grant);
+        
+        return grant;
+    }
+    
+    async revoke(id, reason) {
+        const grant = this.grants.get(id);
+        if (!grant) return null;
+        
+        this.grants.delete(id);
+        await chrome.alarms.clear(ALARM_PREFIX + id);
+        await this.persist();
+        
+        if (this.onChange) this.onChange('reverted', { ...grant, reason, revertedAt: Date.now() });
+        
+        return grant;
+    }
+    
+    async revokeAll(reason) {
+        for (const grant of this.list()) {
+            await this.revoke(grant.id, reason);
+        }
+    }
+    
+    list({ includeExpired = false } = {}) {
+        const now = Date.now();
+        return [...this.grants.values()]
+            .filter(grant => includeExpired || grant.expiresAt > now)
+            .sort((a, b) => a.expiresAt - b.expiresAt);
+    }
+    
+    /**
+     * Stores a setting value on a grant, or removes it when `value` is undefined.
+     */
+    async setConfig(id, key, value) {
+        const grant = this.grants.get(id);
+        if (!grant) throw new Error('Mode grant not found');
+        
+        grant.config = { ...grant.config };
+        if (value === undefined) delete grant.config[key];
+        else grant.config[key] = value;
+        
+        await this.persist();
+        return grant;
+    }
+    
+    /**
+     * Grant with the highest mode for `tab` ({ id, url }), the newest one on a tie; without a
+     * tab, the highest granted anywhere. Expiry is checked here as well, since alarms may fire late.
+     */
+    getEffectiveGrant(tab = null) {
+        return this.list()
+            .filter(grant => !tab || matchesScope(grant.scope, tab))
+            .reduce((best, grant) => {
+                if (!best) return grant;
+                const rank = MODES.indexOf(grant.mode) - MODES.indexOf(best.mode);
+                return rank > 0 || (rank === 0 && grant.grantedAt > best.grantedAt) ? grant : best;
+            }, null);
+    }
+    
+    getEffectiveMode(tab = null) {
+        return this.getEffectiveGrant(tab)?.mode || 'standard';
+    }
+    
+    async persist() {
+        await chrome.storage.local.set({ [STORAGE_KEY]: [...this.grants.values()] });
+    }
+}
+
+function matchesScope(scope, tab) {
+    if (scope.type === 'tab') return scope.tabId === tab.id;
+    
+    try {
+        return new URL(tab.url).origin === scope.origin;
+    } catch (error) {
+        return false;
+    }
+}
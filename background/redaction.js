@@ -0,0 +1,209 @@
+/**
+ * EchoNate v2.0 - PII Redaction Pipeline
+ * Every audit event passes through here before it is hashed and stored
+ */
+
+const REDACTED = '***REDACTED***';
+
+// Query parameters that usually carry bearer or session secrets
+const URL_SECRET_PARAMS = /^(access_?token|id_?token|refresh_?token|token|auth|authorization|session|session_?id|sid|jsessionid|phpsessid|api_?key|key|code|password|passwd|secret|signature|sig|jwt)$/i;
+
+// Secret field names: long ones anywhere in the key ("new_password", "confirmPassword"),
+// short ones only as a whole word so "shipping" or "classname" are left alone
+const SECRET_KEY_SUBSTRINGS = /password|passwd|passphrase|secret|creditcard|cardnumber|ccnumber/;
+const SECRET_KEY_WORDS = new Set(['pwd', 'pass', 'pin', 'ssn', 'cvv', 'cvc', 'csc']);
+
+/**
+ * Detectors marked `fixed` always run; settings cannot disable them, because what they
+ * hide would otherwise be written into a log that cannot be edited afterwards.
+ */
+export const BUILT_IN_DETECTORS = [
+    {
+        id: 'sensitive-fields',
+        label: 'Secret fields (password, CVV, SSN, card number)',
+        fixed: true,
+        matchKey: isSecretKey,
+        redactKey: () => REDACTED
+    },
+    {
+        id: 'account-identifiers',
+        label: 'Account identifiers (username, login)',
+        matchKey: key => /^(username|user|login|userid|user_id|account)$/i.test(key),
+        redactKey: value => `${String(value).charAt(0)}***`
+    },
+    {
+        id: 'url-tokens',
+        label: 'Bearer and session tokens in URLs',
+        redactText: redactUrlTokens
+    },
+    {
+        id: 'email',
+        label: 'Email addresses',
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+        replacement: '[EMAIL]'
+    },
+    {
+        id: 'card-number',
+        label: 'Payment card numbers',
+        pattern: /\b[3-6](?:[ -]?\d){12,18}\b/g,
+        replacement: '[CARD]',
+        validate: match => luhnValid(match.replace(/\D/g, ''))
+    },
+    {
+        id: 'national-id',
+        label: 'National IDs (US SSN, UK NINO)',
+        pattern: /\b(?:\d{3}-\d{2}-\d{4}|[A-CEGHJ-PR-TW-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D])\b/gi,
+        replacement: '[NATIONAL-ID]'
+    }
+];
+
+export class Redactor {
+    constructor() {
+        this.disabledDetectors = new Set();
+        this.rules = [];
+    }
+    
+    getSettings() {
+        return {
+            disabledDetectors: [...this.disabledDetectors],
+            rules: this.rules.map(({ regex, ...rule }) => rule)
+        };
+    }
+    
+    setSettings({ disabledDetectors = [], rules = [] } = {}) {
+        // Compile first so a bad pattern rejects the whole update
+        const compiled = rules.map(rule => {
+            if (!rule.name || !rule.pattern) {
+                throw new Error('Redaction rules need a name and a pattern');
+            }
+            
+            try {
+                const flags = [...new Set(`${rule.flags || ''}g`)].join('');
+                return { ...rule, regex: new RegExp(rule.pattern, flags) };
+            } catch (error) {
+                throw new Error(`Invalid pattern in rule "${rule.name}": ${error.message}`);
+            }
+        });
+        
+        const fixed = BUILT_IN_DETECTORS.filter(d => d.fixed).map(d => d.id);
+        this.disabledDetectors = new Set(disabledDetectors.filter(id => !fixed.includes(id)));
+        this.rules = compiled;
+    }
+    
+    redact(value) {
+        const findings = [];
+        const redacted = this.redactValue(value, '', findings);
+        return { value: redacted, findings };
+    }
+    
+    redactValue(value, path, findings) {
+        if (typeof value === 'string') {
+            return this.redactText(value, path, findings);
+        }
+        
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.redactValue(item, `${path}[${index}]`, findings));
+        }
+        
+        if (value && typeof value === 'object') {
+            const result = {};
+            
+            for (const [key, item] of Object.entries(value)) {
+                const itemPath = path ? `${path}.${key}` : key;
+                const keyDetector = this.getDetectors().find(d => d.matchKey?.(key));
+                
+                // Flags such as passwordChanged say nothing about the secret itself
+                if (keyDetector && item !== undefined && item !== null && item !== '' && typeof item !== 'boolean') {
+                    result[key] = keyDetector.redactKey(item);
+                    findings.push({ path: itemPath, detector: keyDetector.id });
+                } else {
+                    result[key] = this.redactValue(item, itemPath, findings);
+                }
+            }
+            
+            return result;
+        }
+        
+        return value;
+    }
+    
+    redactText(text, path, findings) {
+        let result = text;
+        
+        for (const detector of this.getDetectors()) {
+            if (detector.redactText) {
+                const next = detector.redactText(result);
+                if (next !== result) findings.push({ path, detector: detector.id });
+                result = next;
+                continue;
+            }
+            
+            if (!detector.pattern) continue;
+            
+            result = result.replace(detector.pattern, (match) => {
+                if (detector.validate && !detector.validate(match)) return match;
+                findings.push({ path, detector: detector.id });
+                return detector.replacement;
+            });
+        }
+        
+        for (const rule of this.rules) {
+            if (rule.enabled === false) continue;
+            
+            result = result.replace(rule.regex, () => {
+                findings.push({ path, detector: `rule:${rule.name}` });
+                return rule.replacement || REDACTED;
+            });
+        }
+        
+        return result;
+    }
+    
+    getDetectors() {
+        return BUILT_IN_DETECTORS.filter(d => d.fixed || !this.disabledDetectors.has(d.id));
+    }
+}
+
+export function isSecretKey(key) {
+    const words = String(key)
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+    
+    return SECRET_KEY_SUBSTRINGS.test(words.join('')) || words.some(word => SECRET_KEY_WORDS.has(word));
+}
+
+function redactUrlTokens(text) {
+    let result = text.replace(/\bBearer\s+[A-Za-z0-9\-._~+/]+=*/g, `Bearer ${REDACTED}`);
+    
+    // Only rewrite query strings that look like key=value pairs
+    result = result.replace(/([?&#;])([^=&#\s]+)=([^&#\s]*)/g, (match, separator, name, value) =>
+        URL_SECRET_PARAMS.test(decodeSafe(name)) && value ? `${separator}${name}=${REDACTED}` : match
+    );
+    
+    return result;
+}
+
+function decodeSafe(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function luhnValid(digits) {
+    let sum = 0;
+    
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    
+    return digits.length >= 13 && sum % 10 === 0;
+}
@@ -0,0 +1,124 @@
+/**
+ * EchoNate v2.0 - Safety Policy
+ * Safety level thresholds and per-site limits, loaded from policies/safety-policy.json
+ */
+
+import { CONFIG_SCHEMA, getRiskWeight } from './config-schema.js';
+import { normalizeHost, matchesHostPattern } from './domain-utils.js';
+
+export const SAFETY_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+const POLICY_PATH = 'policies/safety-policy.json';
+
+// Used until the policy file loads, and whenever it is missing or invalid
+const DEFAULT_POLICY = {
+    version: 1,
+    thresholds: { LOW: 2, MEDIUM: 8 },
+    sites: []
+};
+
+export class SafetyPolicy {
+    constructor(policy = DEFAULT_POLICY) {
+        this.policy = policy;
+    }
+    
+    async load() {
+        try {
+            const response = await fetch(chrome.runtime.getURL(POLICY_PATH));
+            const policy = await response.json();
+            const errors = validatePolicy(policy);
+            
+            if (errors.length) {
+                console.warn('⚠️  Invalid safety policy, using defaults:', errors);
+                return;
+            }
+            
+            this.policy = { ...DEFAULT_POLICY, ...policy };
+        } catch (error) {
+            console.warn('⚠️  Safety policy not loaded, using defaults:', error.message);
+        }
+    }
+    
+    get thresholds() {
+        return this.policy.thresholds;
+    }
+    
+    getLevel(score) {
+        if (score <= this.thresholds.LOW) return 'LOW';
+        if (score <= this.thresholds.MEDIUM) return 'MEDIUM';
+        return 'HIGH';
+    }
+    
+    /**
+     * Every schema setting with its current value and weight, plus the score and level they add up to.
+     * Factors with weight 0 are included so the breakdown always covers the whole configuration.
+     */
+    explain(config) {
+        const factors = Object.entries(CONFIG_SCHEMA)
+            .filter(([, spec]) => spec.risk)
+            .map(([key, spec]) => ({
+                key,
+                sm: spec.sm,
+                label: spec.label,
+                value: config[key],
+                weight: getRiskWeight(key, config[key])
+            }));
+        
+        const score = factors.reduce((sum, factor) => sum + factor.weight, 0);
+        
+        return {
+            score,
+            level: this.getLevel(score),
+            thresholds: this.thresholds,
+            factors
+        };
+    }
+    
+    getSiteRule(siteOrUrl) {
+        const host = normalizeHost(siteOrUrl);
+        if (!host) return null;
+        
+        return this.policy.sites.find(rule => matchesHostPattern(rule.match, host)) || null;
+    }
+    
+    /**
+     * Returns the blocking rule when `action` on `siteOrUrl` is not allowed at `level`, otherwise null.
+     * Rules without an `actions` list apply to every action.
+     */
+    checkAction(action, siteOrUrl, level) {
+        const rule = this.getSiteRule(siteOrUrl);
+        if (!rule) return null;
+        if (rule.actions && !rule.actions.includes(action)) return null;
+        if (SAFETY_LEVELS.indexOf(level) <= SAFETY_LEVELS.indexOf(rule.maxLevel)) return null;
+        
+        return rule;
+    }
+}
+
+function validatePolicy(policy) {
+    const errors = [];
+    const { thresholds, sites } = policy || {};
+    
+    if (!Number.isFinite(thresholds?.LOW) || !Number.isFinite(thresholds?.MEDIUM) || thresholds.LOW > thresholds.MEDIUM) {
+        errors.push('thresholds must have numeric LOW and MEDIUM with LOW ≤ MEDIUM');
+    }
+    
+    if (!Array.isArray(sites)) {
+        errors.push('sites must be an array');
+        return errors;
+    }
+    
+    sites.forEach((rule, index) => {
+        if (typeof rule.match !== 'string' || !rule.match) {
+            errors.push(`sites[${index}].match must be a host or *.suffix pattern`);
+        }
+        if (!SAFETY_LEVELS.includes(rule.maxLevel)) {
+            errors.push(`sites[${index}].maxLevel must be one of ${SAFETY_LEVELS.join(', ')}`);
+        }
+        if (rule.actions !== undefined && !Array.isArray(rule.actions)) {
+            errors.push(`sites[${index}].actions must be an array of message actions`);
+        }
+    });
+    
+    return errors;
+}
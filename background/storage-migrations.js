@@ -0,0 +1,137 @@
+/**
+ * EchoNate v2.0 - Storage Migrations
+ * Versioned chrome.storage.local layout, upgraded one step at a time with a backup per step
+ */
+
+import { Redactor } from './redaction.js';
+
+export const STORAGE_VERSION = 3;
+
+const VERSION_KEY = 'storageVersion';
+const BACKUP_KEY = 'migrationBackup';
+const ERROR_KEY = 'migrationError';
+
+/**
+ * Each step receives a copy of the storage keys it lists in `keys` and returns their new
+ * values; a key missing from the result is removed. Only those keys are backed up, so a
+ * step must list every key it reads or writes. Steps must be safe to run on data that is
+ * already in the new shape.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Drop the global mode; elevated modes are time-boxed grants',
+        keys: ['mode'],
+        migrate(data) {
+            delete data.mode;
+            return data;
+        }
+    },
+    {
+        version: 2,
+        description: 'Set aside base64-encoded credentials until the vault can encrypt them',
+        keys: ['credentials', 'legacyCredentials'],
+        migrate(data) {
+            const legacy = { ...(data.legacyCredentials || {}) };
+            
+            for (const [site, entry] of Object.entries(data.credentials || {})) {
+                // Vault entries are { iv, data }; the old placeholder stored btoa(JSON)
+                if (typeof entry.encrypted !== 'string') continue;
+                
+                legacy[site] = entry;
+                delete data.credentials[site];
+            }
+            
+            if (Object.keys(legacy).length) data.legacyCredentials = legacy;
+            return data;
+        }
+    },
+    {
+        version: 3,
+        description: 'Redact unhashed audit events so they can join the hash chain',
+        keys: ['auditLog', 'redactionSettings'],
+        migrate(data) {
+            const events = data.auditLog;
+            if (!Array.isArray(events) || events.every(event => event.hash)) return data;
+            
+            const redactor = new Redactor();
+            try {
+                if (data.redactionSettings) redactor.setSettings(data.redactionSettings);
+            } catch (error) {
+                // Broken custom rules still leave the built-in detectors
+            }
+            
+            // Any unhashed event breaks the links after it, so the whole batch is re-chained on import
+            data.auditLog = events.map(({ hash, prevHash, ...event }, index) => ({
+                ...event,
+                id: event.id || `evt_legacy_${index}`,
+                timestamp: new Date(event.timestamp || Date.now()).toISOString(),
+                details: redactor.redact(event.details || {}).value,
+                legacy: true
+            }));
+            
+            return data;
+        }
+    }
+];
+
+/**
+ * Runs every pending step in order. A failed step is rolled back from its backup and
+ * recorded under `migrationError`; later steps do not run.
+ * Returns { from, to, applied: [{ version, description }], error }.
+ */
+export async function runMigrations() {
+    const stored = await chrome.storage.local.get(null);
+    const from = stored[VERSION_KEY] ?? 0;
+    const result = { from, to: from, applied: [], error: null };
+    
+    // A fresh install has nothing to upgrade
+    if (Object.keys(stored).length === 0) {
+        await chrome.storage.local.set({ [VERSION_KEY]: STORAGE_VERSION });
+        return { ...result, to: STORAGE_VERSION };
+    }
+    
+    for (const step of MIGRATIONS.filter(migration => migration.version > from)) {
+        const before = await chrome.storage.local.get(step.keys);
+        let backedUp = false;
+        
+        try {
+            // A backup that cannot be written (usually a full quota) stops the step before it changes anything
+            await chrome.storage.local.set({
+                [BACKUP_KEY]: { fromVersion: result.to, toVersion: step.version, createdAt: Date.now(), keys: step.keys, data: before }
+            });
+            backedUp = true;
+            
+            const after = step.migrate(structuredClone(before));
+            const removed = step.keys.filter(key => !(key in after));
+            const changed = Object.fromEntries(step.keys.filter(key => key in after).map(key => [key, after[key]]));
+            
+            await chrome.storage.local.remove(removed);
+            await chrome.storage.local.set({ ...changed, [VERSION_KEY]: step.version });
+            await chrome.storage.local.remove([BACKUP_KEY, ERROR_KEY]);
+            
+            result.to = step.version;
+            result.applied.push({ version: step.version, description: step.description });
+        } catch (error) {
+            if (backedUp) await rollback(step.keys, before);
+            
+            result.error = {
+                version: step.version,
+                description: step.description,
+                message: error.message,
+                failedAt: Date.now()
+            };
+            await chrome.storage.local.set({ [ERROR_KEY]: result.error });
+            break;
+        }
+    }
+    
+    return result;
+}
+
+async function rollback(keys, snapshot) {
+    // Restore exactly the pre-step values of the step's keys, including ones it deleted
+    await chrome.storage.local.remove(keys.filter(key => !(key in snapshot)));
+    await chrome.storage.local.set(snapshot);
+    await chrome.storage.local.remove(BACKUP_KEY);
+}
@@ -0,0 +1,32 @@
+/**
+ * EchoNate v2.0 - Terms of Service
+ * SM-013: Identifies the bundled terms so an acceptance records exactly what was accepted
+ */
+
+import { sha256Hex } from './audit-chain.js';
+
+const TERMS_PATH = 'TERMS_OF_SERVICE.md';
+
+/**
+ * Returns { version, effectiveDate, hash } for the terms shipped with this build.
+ */
+export async function loadBundledTerms() {
+    const response = await fetch(chrome.runtime.getURL(TERMS_PATH));
+    const text = await response.text();
+    
+    return {
+        version: text.match(/\*\*Version:\*\*\s*([^\s]+)/)?.[1] || 'unknown',
+        effectiveDate: text.match(/\*\*Effective Date:\*\*\s*(.+?)\s*$/m)?.[1] || null,
+        hash: await sha256Hex(text)
+    };
+}
+
+/**
+ * Why `acceptance` does not cover `terms`: 'not_accepted', 'legacy' (accepted before
+ * acceptances were versioned) or 'changed'. Null when the acceptance is current.
+ */
+export function getAcceptanceGap(acceptance, terms, legacyAccepted = false) {
+    if (!acceptance) return legacyAccepted ? 'legacy' : 'not_accepted';
+    if (acceptance.hash !== terms.hash) return 'changed';
+    return null;
+}
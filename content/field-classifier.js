@@ -0,0 +1,256 @@
+/**
+ * EchoNate v2.0 - Field Classifier
+ * Maps form fields to canonical autocomplete slots, and forms to a form type, with a confidence score
+ */
+
+// How much each signal counts towards a slot; combined as independent evidence
+const FIELD_SIGNAL_WEIGHTS = {
+    autocomplete: 0.95,
+    type: 0.7,
+    label: 0.6,
+    ariaLabel: 0.55,
+    placeholder: 0.4,
+    inputmode: 0.4,
+    name: 0.35,
+    title: 0.3
+};
+
+const MIN_FIELD_CONFIDENCE = 0.25;
+
+/**
+ * Text patterns per slot, matched against normalized text (lowercase, words split on
+ * separators and camelCase). Every matching slot scores; `strength` scales vague patterns
+ * down so "user name" ends up a username, not a name.
+ */
+const FIELD_SLOT_PATTERNS = {
+    'given-name': { pattern: /\b(first|given|fore) ?name\b|\bfname\b/ },
+    'family-name': { pattern: /\b(last|family|sur) ?name\b|\blname\b/ },
+    'name': { pattern: /\b(full ?name|your name|name)\b/, strength: 0.6 },
+    'email': { pattern: /\be ?mail\b/ },
+    'tel': { pattern: /\b(phone|tel|telephone|mobile|cell)\b/ },
+    'username': { pattern: /\buser ?(name|id)\b|\blogin\b|\baccount ?name\b/ },
+    'new-password': { pattern: /\b(new|create|choose|confirm|repeat|retype) (a |your )?pass ?word\b/ },
+    'current-password': { pattern: /\bpass ?(word|phrase)?\b|\bpwd\b/, strength: 0.8 },
+    'organization': { pattern: /\b(company|organi[sz]ation|employer|business)\b/ },
+    'address-line2': { pattern: /\baddress ?(line)? ?2\b|\b(apt|apartment|suite|unit|building)\b/ },
+    // "Email address" is an email field, not a street address
+    'address-line1': { pattern: /^(?!.*\be ?mail\b).*\b(street|address|addr)\b/, strength: 0.8 },
+    'address-level2': { pattern: /\b(city|town|locality|suburb)\b/ },
+    'address-level1': { pattern: /\b(state|province|region|county)\b/ },
+    'postal-code': { pattern: /\b(zip|postal|post ?code|zip ?code)\b/ },
+    'country': { pattern: /\bcountry\b/ },
+    'cc-name': { pattern: /\bname on card\b|\bcard ?holder\b|\bcc ?name\b/ },
+    'cc-number': { pattern: /\b(card|cc) ?(number|no|num)\b|\b(credit|debit) ?card\b|\bccnum\b/ },
+    'cc-exp-month': { pattern: /\bexp\w* ?(month|mm)\b|\bcc ?month\b/ },
+    'cc-exp-year': { pattern: /\bexp\w* ?(year|yy(yy)?)\b|\bcc ?year\b/ },
+    'cc-exp': { pattern: /\bexpir\w*|\bexp ?date\b|\bvalid ?thru\b|\bmm ?\/ ?yy\b/, strength: 0.8 },
+    // Not a bare "card code": gift and loyalty card codes are not security codes
+    'cc-csc': { pattern: /\b(cvv|cvc|csc|cvn)\d?\b|\bsecurity ?code\b|\bcard verification\b/ },
+    'bday': { pattern: /\b(birth ?(date|day)?|dob|birthday)\b/ },
+    'one-time-code': { pattern: /\b(otp|one ?time|verification ?code|2fa|auth(entication)? code)\b/ },
+    'search': { pattern: /\b(search|query|q)\b/ },
+    'message': { pattern: /\b(message|comments?|enquiry|inquiry|question)\b/ }
+};
+
+// Autocomplete tokens that name the same slot differently
+const FIELD_SLOT_ALIASES = {
+    'street-address': 'address-line1',
+    'email-address': 'email',
+    'tel-national': 'tel',
+    'postal': 'postal-code'
+};
+
+// [slot, strength] pairs per input type; a password field alone could be either kind
+const FIELD_TYPE_SLOTS = {
+    email: [['email', 1]],
+    tel: [['tel', 1]],
+    password: [['current-password', 0.5], ['new-password', 0.5]],
+    search: [['search', 1]],
+    month: [['cc-exp', 0.5]],
+    date: [['bday', 0.4]]
+};
+
+const FIELD_INPUTMODE_SLOTS = {
+    email: 'email',
+    tel: 'tel',
+    search: 'search'
+};
+
+const UNCLASSIFIED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file', 'checkbox', 'radio', 'range', 'color'];
+
+const NAME_SLOTS = ['given-name', 'family-name', 'name'];
+const ADDRESS_SLOTS = ['address-line1', 'address-line2', 'address-level2', 'address-level1', 'postal-code', 'country'];
+const CARD_SLOTS = ['cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-name'];
+
+class FieldClassifier {
+    /**
+     * Returns { slot, confidence, section, signals, runnerUp } for a field, or null when nothing
+     * reaches MIN_FIELD_CONFIDENCE. `section` is "shipping" or "billing" when declared.
+     * `runnerUp` is the next best { slot, confidence }, or null.
+     */
+    classifyField(element) {
+        if (!this.isClassifiable(element)) return null;
+        
+        const scores = {};
+        const signals = [];
+        const add = (slot, signal, strength = 1) => {
+            const weight = FIELD_SIGNAL_WEIGHTS[signal] * strength;
+            scores[slot] = 1 - (1 - (scores[slot] || 0)) * (1 - weight);
+            signals.push({ slot, signal, weight: Math.round(weight * 100) / 100 });
+        };
+        
+        const { slot: declared, section } = this.parseAutocomplete(element);
+        if (declared) add(declared, 'autocomplete');
+        
+        const multiline = element.tagName === 'TEXTAREA' || this.isEditableHost(element);
+        const typeSlots = multiline ? [['message', 0.6]] : FIELD_TYPE_SLOTS[element.type] || [];
+        for (const [slot, strength] of typeSlots) add(slot, 'type', strength);
+        
+        const inputmodeSlot = FIELD_INPUTMODE_SLOTS[element.getAttribute('inputmode')];
+        if (inputmodeSlot) add(inputmodeSlot, 'inputmode');
+        
+        const texts = {
+            label: this.getLabelText(element),
+            ariaLabel: element.getAttribute('aria-label'),
+            placeholder: element.getAttribute('placeholder'),
+            name: `${element.name || ''} ${element.id || ''}`,
+            title: element.getAttribute('title')
+        };
+        
+        for (const [signal, text] of Object.entries(texts)) {
+            const normalized = normalizeFieldText(text);
+            if (!normalized) continue;
+            
+            for (const [slot, { pattern, strength }] of Object.entries(FIELD_SLOT_PATTERNS)) {
+                if (pattern.test(normalized)) add(slot, signal, strength);
+            }
+        }
+        
+        const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        if (!best || best[1] < MIN_FIELD_CONFIDENCE) return null;
+        
+        return {
+            slot: best[0],
+            confidence: Math.round(best[1] * 100) / 100,
+            section,
+            signals: signals.filter(signal => signal.slot === best[0]),
+            runnerUp: second ? { slot: second[0], confidence: Math.round(second[1] * 100) / 100 } : null
+        };
+    }
+    
+    /**
+     * Returns { type, confidence, fields: [{ element, slot, confidence, section }] }.
+     * Types: login, signup, payment, checkout-shipping, address, contact, search, generic.
+     */
+    classifyForm(form) {
+        const fields = [];
+        
+        // Rich-text editors are not form controls, so form.elements leaves them out
+        const editors = [...form.querySelectorAll('[contenteditable]')].filter(element => this.isEditableHost(element));
+        
+        for (const element of [...form.elements, ...editors]) {
+            const result = this.classifyField(element);
+            if (result) fields.push({ element, ...result });
+        }
+        
+        // Exactly two password fields mean choose-and-confirm; three is current, new and confirm.
+        // A slot the page declared in autocomplete is kept, so a declared current password
+        // pairs with a new one.
+        const passwords = fields.filter(field => field.slot === 'current-password' || field.slot === 'new-password');
+        const declared = field => field.signals.some(signal => signal.signal === 'autocomplete');
+        if (passwords.length === 2) {
+            passwords.filter(field => !declared(field)).forEach(field => { field.slot = 'new-password'; });
+        }
+        
+        const { type, keySlots } = this.identifyType(form, fields);
+        const key = fields.filter(field => keySlots.includes(field.slot));
+        const confidence = key.length
+            ? Math.round(key.reduce((sum, field) => sum + field.confidence, 0) / key.length * 100) / 100
+            : 0;
+        
+        return { type, confidence, fields };
+    }
+    
+    identifyType(form, fields) {
+        const slots = new Set(fields.map(field => field.slot));
+        const has = (...names) => names.some(name => slots.has(name));
+        const count = names => names.filter(name => slots.has(name)).length;
+        
+        if (has('cc-number') || (has('cc-csc') && has('cc-exp', 'cc-exp-month'))) {
+            return { type: 'payment', keySlots: CARD_SLOTS };
+        }
+        
+        if (has('new-password') && has('email', 'username', ...NAME_SLOTS)) {
+            return { type: 'signup', keySlots: ['new-password', 'email', 'username', ...NAME_SLOTS] };
+        }
+        
+        if (has('current-password') && has('email', 'username')) {
+            return { type: 'login', keySlots: ['current-password', 'email', 'username'] };
+        }
+        
+        if (has('address-line1') && count(ADDRESS_SLOTS) >= 3) {
+            const shipping = fields.some(field => field.section === 'shipping') ||
+                /\b(ship|shipping|delivery|deliver)\b/.test(normalizeFieldText(this.getFormText(form)));
+            
+            return { type: shipping ? 'checkout-shipping' : 'address', keySlots: ADDRESS_SLOTS };
+        }
+        
+        if (has('message') && has('email', 'tel')) {
+            return { type: 'contact', keySlots: ['message', 'email', 'tel', ...NAME_SLOTS] };
+        }
+        
+        if ((has('search') && fields.length <= 3) || form.getAttribute('role') === 'search') {
+            return { type: 'search', keySlots: ['search'] };
+        }
+        
+        return { type: 'generic', keySlots: [] };
+    }
+    
+    isClassifiable(element) {
+        if (this.isEditableHost(element)) return true;
+        if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) return false;
+        return element.tagName !== 'INPUT' || !UNCLASSIFIED_TYPES.includes(element.type);
+    }
+    
+    /**
+     * The outermost element of a contenteditable region; the nodes inside it are its content.
+     */
+    isEditableHost(element) {
+        return !!element.isContentEditable && !element.parentElement?.isContentEditable;
+    }
+    
+    parseAutocomplete(element) {
+        // e.g. "section-a shipping postal-code" - the slot is last, a section may precede it
+        const tokens = (element.getAttribute('autocomplete') || '').toLowerCase().trim().split(/\s+/);
+        const last = tokens[tokens.length - 1];
+        const slot = FIELD_SLOT_ALIASES[last] || (FIELD_SLOT_PATTERNS[last] ? last : null);
+        const section = tokens.find(token => token === 'shipping' || token === 'billing') || null;
+        
+        return { slot, section };
+    }
+    
+    getLabelText(element) {
+        const parts = [...(element.labels || [])].map(label => label.textContent);
+        
+        for (const id of (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)) {
+            const label = document.getElementById(id);
+            if (label) parts.push(label.textContent);
+        }
+        
+        return parts.join(' ');
+    }
+    
+    getFormText(form) {
+        const legends = [...form.querySelectorAll('legend, h1, h2, h3')].map(node => node.textContent);
+        return [form.id, form.getAttribute('name'), form.className, form.getAttribute('action'), ...legends].join(' ');
+    }
+}
+
+function normalizeFieldText(text) {
+    return String(text || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .replace(/[_\-.:*[\]()]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
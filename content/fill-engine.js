@@ -0,0 +1,367 @@
+/**
+ * EchoNate v2.0 - Fill Engine
+ * Writes values into page controls the way typing would, so framework-controlled inputs update
+ */
+
+const FILL_TRUE_VALUES = ['true', 'on', 'yes', '1', 'checked'];
+
+const FILL_DATE_FORMATS = {
+    date: value => toFillDate(value)?.slice(0, 10),
+    month: value => toFillMonth(value),
+    'datetime-local': value => toFillDate(value)?.slice(0, 16)
+};
+
+class FillEngine {
+    /**
+     * Turns [{ element, value }] into the changes a fill would make, skipping controls that
+     * are hidden, disabled, read-only, already hold the value, or have no matching option.
+     * Each change is { element, kind, label, from, to, target, previous }; `previous` is
+     * the state `revert` restores.
+     */
+    plan(fields) {
+        const changes = [];
+        
+        for (const { element, value } of fields) {
+            if (value === undefined || value === null || value === '') continue;
+            if (element.disabled || element.readOnly) continue;
+            if (!this.isVisible(element)) continue;
+            
+            const change = this.planField(element, String(value));
+            if (change && change.from !== change.to) changes.push(change);
+        }
+        
+        return changes;
+    }
+    
+    planField(element, value) {
+        const kind = this.getKind(element);
+        const change = { element, kind, label: this.describeField(element), from: this.describeState(element, kind) };
+        
+        switch (kind) {
+            case 'select': {
+                const option = this.matchOption(element, value);
+                if (!option) return null;
+                return { ...change, to: option.text, target: option, previous: element.selectedOptions[0] || null };
+            }
+            
+            case 'checkbox': {
+                const checked = FILL_TRUE_VALUES.includes(value.toLowerCase());
+                return { ...change, to: checked ? 'checked' : 'unchecked', target: checked, previous: element.checked };
+            }
+            
+            case 'radio': {
+                const radio = this.matchRadio(element, value);
+                if (!radio) return null;
+                const current = this.getRadioGroup(element).find(candidate => candidate.checked) || null;
+                return { ...change, to: this.describeOption(radio), target: radio, previous: current };
+            }
+            
+            case 'contenteditable':
+                return { ...change, to: value, target: value, previous: change.from };
+            
+            default: {
+                const formatted = FILL_DATE_FORMATS[element.type] ? FILL_DATE_FORMATS[element.type](value) : value;
+                if (!formatted) return null;
+                return { ...change, to: formatted, target: formatted, previous: change.from };
+            }
+        }
+    }
+    
+    /**
+     * The control's state as shown in previews, so a later read can tell whether it still holds the fill.
+     */
+    describeState(element, kind = this.getKind(element)) {
+        switch (kind) {
+            case 'select':
+                return element.selectedOptions[0]?.text || '';
+            case 'checkbox':
+                return element.checked ? 'checked' : 'unchecked';
+            case 'radio': {
+                const current = this.getRadioGroup(element).find(candidate => candidate.checked);
+                return current ? this.describeOption(current) : '';
+            }
+            case 'contenteditable':
+                return element.textContent;
+            default:
+                return element.value;
+        }
+    }
+    
+    /**
+     * Applies planned changes. Returns { applied, failed }; the caller reports failures,
+     * since the page can read anything logged here.
+     */
+    apply(changes) {
+        const applied = [];
+        const failed = [];
+        
+        for (const change of changes) {
+            try {
+                this.write(change);
+                applied.push(change);
+            } catch (error) {
+                failed.push(change);
+            }
+        }
+        
+        return { applied, failed };
+    }
+    
+    /**
+     * Restores `previous` for each change, newest first. Fields that are gone from the page,
+     * or that the user changed after the fill, are left alone. Returns { reverted, skipped, failed }.
+     */
+    revert(changes) {
+        const reverted = [];
+        const skipped = [];
+        const failed = [];
+        
+        for (const change of [...changes].reverse()) {
+            if (!change.element.isConnected || this.describeState(change.element, change.kind) !== change.to) {
+                skipped.push(change);
+                continue;
+            }
+            
+            try {
+                this.write({ ...change, target: change.previous });
+                reverted.push(change);
+            } catch (error) {
+                failed.push(change);
+            }
+        }
+        
+        return { reverted, skipped, failed };
+    }
+    
+    write({ element, kind, target }) {
+        switch (kind) {
+            case 'select':
+                // A null target restores a select that had nothing chosen
+                if (target) {
+                    this.setNativeValue(element, target.value);
+                } else {
+                    element.selectedIndex = -1;
+                }
+                this.dispatchChange(element);
+                break;
+                
+            case 'checkbox':
+                // A click toggles it and fires the events frameworks listen to for checkboxes
+                if (element.checked !== target) element.click();
+                break;
+                
+            case 'radio':
+                if (target) {
+                    if (!target.checked) target.click();
+                    break;
+                }
+                
+                // Clicking cannot clear a radio group, so uncheck the chosen one directly
+                for (const radio of this.getRadioGroup(element).filter(candidate => candidate.checked)) {
+                    radio.checked = false;
+                    this.dispatchChange(radio);
+                }
+                break;
+                
+            case 'contenteditable':
+                this.writeEditable(element, target);
+                break;
+                
+            default:
+                element.focus();
+                this.setNativeValue(element, target);
+                this.dispatchChange(element);
+        }
+    }
+    
+    setNativeValue(element, value) {
+        // React and friends shadow `value` on the instance; the prototype setter bypasses their tracker
+        let setter = null;
+        for (let prototype = Object.getPrototypeOf(element); prototype && !setter; prototype = Object.getPrototypeOf(prototype)) {
+            setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+        }
+        
+        if (setter) {
+            setter.call(element, value);
+        } else {
+            element.value = value;
+        }
+    }
+    
+    dispatchChange(element) {
+        element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText' }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+        element.dispatchEvent(new FocusEvent('blur'));
+        element.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+    }
+    
+    writeEditable(element, value) {
+        element.focus();
+        
+        // insertText goes through the editor's own input handling; fall back when it is unsupported
+        const selection = window.getSelection();
+        selection.selectAllChildren(element);
+        if (!document.execCommand?.('insertText', false, value)) {
+            element.textContent = value;
+            element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: value }));
+        }
+        
+        element.dispatchEvent(new FocusEvent('blur'));
+    }
+    
+    matchOption(select, value) {
+        const wanted = value.trim().toLowerCase();
+        const options = [...select.options].filter(option => !option.disabled);
+        
+        // Exact value, then visible label, then a label that starts with the value (e.g. "CA" vs "CA - California")
+        return options.find(option => option.value === value) ||
+            options.find(option => option.value.toLowerCase() === wanted) ||
+            options.find(option => option.text.trim().toLowerCase() === wanted) ||
+            options.find(option => wanted.length > 1 && option.text.trim().toLowerCase().startsWith(wanted)) ||
+            null;
+    }
+    
+    matchRadio(element, value) {
+        const wanted = value.trim().toLowerCase();
+        const group = this.getRadioGroup(element).filter(radio => !radio.disabled);
+        
+        return group.find(radio => radio.value.toLowerCase() === wanted) ||
+            group.find(radio => this.describeOption(radio).toLowerCase() === wanted) ||
+            null;
+    }
+    
+    getRadioGroup(element) {
+        const scope = element.form || document;
+        return [...scope.querySelectorAll('input[type="radio"]')].filter(radio => radio.name === element.name);
+    }
+    
+    /**
+     * Whether the user can see the control. Pages hide honeypot fields with CSS, and those must
+     * stay empty. Checkboxes and radios styled through their label count when the label shows.
+     */
+    isVisible(element) {
+        const shown = node => node.getClientRects().length > 0 && getComputedStyle(node).visibility !== 'hidden';
+        if (shown(element)) return true;
+        
+        return (element.type === 'checkbox' || element.type === 'radio') && [...(element.labels || [])].some(shown);
+    }
+    
+    getKind(element) {
+        if (element.isContentEditable) return 'contenteditable';
+        if (element.tagName === 'SELECT') return 'select';
+        if (element.type === 'checkbox' || element.type === 'radio') return element.type;
+        return 'text';
+    }
+    
+    describeField(element) {
+        const label = [...(element.labels || [])].map(node => node.textContent.trim()).find(Boolean);
+        return label || element.getAttribute('aria-label') || element.getAttribute('placeholder') ||
+            element.name || element.id || element.tagName.toLowerCase();
+    }
+    
+    describeOption(radio) {
+        return [...(radio.labels || [])].map(node => node.textContent.trim()).find(Boolean) || radio.value;
+    }
+    
+    /**
+     * Shows the planned changes next to the form and resolves true when the user applies them.
+     */
+    preview(changes, { title, anchor } = {}) {
+        return new Promise((resolve) => {
+            const host = document.createElement('div');
+            // Closed, so page scripts cannot read values the user may still decline
+            const root = host.attachShadow({ mode: 'closed' });
+            
+            const panel = document.createElement('div');
+            panel.style.cssText = `
+                position: fixed;
+                bottom: 20px;
+                right: 20px;
+                width: 360px;
+                max-height: 60vh;
+                overflow: auto;
+                background: white;
+                border: 1px solid #ddd;
+                border-radius: 8px;
+                padding: 16px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+                font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                color: #333;
+                z-index: 10003;
+            `;
+            
+            const heading = document.createElement('div');
+            heading.style.cssText = 'font-weight: bold; margin-bottom: 8px;';
+            heading.textContent = title || `Fill ${changes.length} field(s)?`;
+            panel.appendChild(heading);
+            
+            for (const change of changes) {
+                const row = document.createElement('div');
+                row.style.cssText = 'padding: 6px 0; border-top: 1px solid #eee;';
+                
+                const name = document.createElement('div');
+                name.style.cssText = 'color: #666; font-size: 12px;';
+                name.textContent = change.label;
+                
+                const diff = document.createElement('div');
+                const from = document.createElement('span');
+                from.style.cssText = 'color: #C62828; text-decoration: line-through;';
+                from.textContent = change.from || '(empty)';
+                const to = document.createElement('span');
+                to.style.cssText = 'color: #2E7D32;';
+                to.textContent = change.to;
+                diff.append(from, ' → ', to);
+                
+                row.append(name, diff);
+                panel.appendChild(row);
+            }
+            
+            const actions = document.createElement('div');
+            actions.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end; margin-top: 12px;';
+            
+            const finish = (accepted) => {
+                host.remove();
+                resolve(accepted);
+            };
+            
+            const cancel = document.createElement('button');
+            cancel.textContent = 'Cancel';
+            cancel.style.cssText = 'padding: 6px 12px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer;';
+            cancel.onclick = () => finish(false);
+            
+            const apply = document.createElement('button');
+            apply.textContent = 'Apply';
+            apply.style.cssText = 'padding: 6px 12px; border: none; border-radius: 4px; background: #2196F3; color: white; cursor: pointer;';
+            apply.onclick = () => finish(true);
+            
+            actions.append(cancel, apply);
+            panel.appendChild(actions);
+            root.appendChild(panel);
+            
+            if (anchor) anchor.scrollIntoView?.({ block: 'nearest' });
+            document.body.appendChild(host);
+        });
+    }
+}
+
+function toFillDate(value) {
+    // ISO dates pass through; anything else must parse unambiguously
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+    
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    
+    const pad = part => String(part).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function toFillMonth(value) {
+    // Card expiries arrive as MM/YY or MM/YYYY
+    const expiry = value.match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+    if (expiry) {
+        const year = expiry[2].length === 2 ? `20${expiry[2]}` : expiry[2];
+        return `${year}-${expiry[1].padStart(2, '0')}`;
+    }
+    
+    return toFillDate(value)?.slice(0, 7) || null;
+}
@@ -0,0 +1,238 @@
+/**
+ * EchoNate v2.0 - Form Validator
+ * Checks a form before it is submitted: constraints, confirm fields, and values in the wrong field
+ */
+
+const VALIDATION_SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file'];
+
+// Labels that mark the second field of a "type it twice" pair
+const CONFIRM_FIELD_PATTERN = /\b(confirm|confirmation|repeat|retype|re ?type|re ?enter|again|verify)\b/;
+
+// Confirm fields are compared with the nearest earlier field of the same kind. A current
+// password is neither: it is checked against the account, not against another field.
+const CONFIRM_FIELD_KINDS = {
+    'new-password': 'password',
+    'email': 'email'
+};
+
+const EMAIL_SHAPE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const POSTAL_CODE_SHAPE = /^(\d{5}(-\d{4})?|[a-z]{1,2}\d[a-z\d]? ?\d[a-z]{2})$/i;
+const PHONE_SHAPE = /^\+?[\d\s().-]+$/;
+
+const countDigits = value => value.replace(/\D/g, '').length;
+const looksLikePhone = value => PHONE_SHAPE.test(value) && countDigits(value) >= 7;
+const NAME_CHECKS = [
+    { test: value => value.includes('@'), message: 'looks like an email address, not a name' },
+    { test: value => PHONE_SHAPE.test(value) && countDigits(value) > 0, message: 'looks like a number, not a name' }
+];
+
+// Fields that also take another kind of value ("Email or phone", "Email or username")
+const MIXED_FIELD_PATTERNS = {
+    'email': /\b(phone|tel|telephone|mobile|cell|user|user ?name|user ?id|login)\b/
+};
+
+/**
+ * Per slot, values that are clearly meant for another field. Only shapes that are
+ * unambiguous are flagged; anything unusual but possible is left to the page.
+ */
+const FIELD_VALUE_CHECKS = {
+    'tel': [
+        { test: value => value.includes('@'), message: 'looks like an email address, not a phone number' },
+        { test: value => POSTAL_CODE_SHAPE.test(value), message: 'looks like a ZIP or postal code, not a phone number' }
+    ],
+    'email': [
+        { test: value => !value.includes('@') && looksLikePhone(value), message: 'looks like a phone number, not an email address' },
+        { test: value => !EMAIL_SHAPE.test(value), message: 'is not a valid email address' }
+    ],
+    'postal-code': [
+        { test: value => value.includes('@'), message: 'looks like an email address, not a postal code' },
+        { test: value => looksLikePhone(value) && countDigits(value) >= 10, message: 'looks like a phone number, not a postal code' }
+    ],
+    'address-level2': [
+        { test: value => POSTAL_CODE_SHAPE.test(value), message: 'looks like a ZIP or postal code, not a city' }
+    ],
+    'cc-number': [
+        { test: value => /^[\d\s-]+$/.test(value) && !passesLuhn(value.replace(/\D/g, '')), message: 'is not a valid card number' }
+    ],
+    'given-name': NAME_CHECKS,
+    'family-name': NAME_CHECKS,
+    'name': NAME_CHECKS,
+    'cc-name': NAME_CHECKS
+};
+
+class FormValidator {
+    constructor(classifier, fillEngine) {
+        this.classifier = classifier;
+        this.fillEngine = fillEngine;
+    }
+    
+    /**
+     * Returns [{ element, label, code, message }], at most one per field, in form order.
+     * Codes: required, pattern, minlength, type, mismatch, implausible. Messages never
+     * quote the value, so they are safe to show outside the page.
+     */
+    validate(form) {
+        const issues = new Map();
+        const { fields } = this.classifier.classifyForm(form);
+        const classified = new Map(fields.map(field => [field.element, field]));
+        const radioGroups = new Set();
+        
+        for (const element of form.elements) {
+            if (!this.isValidatable(element)) continue;
+            
+            // A radio group is one answer, checked once
+            if (element.type === 'radio') {
+                if (radioGroups.has(element.name)) continue;
+                radioGroups.add(element.name);
+            }
+            
+            const field = classified.get(element);
+            const issue = this.checkConstraints(element, field) || this.checkValue(element, field);
+            if (issue) issues.set(element, issue);
+        }
+        
+        for (const { element, ...issue } of this.checkConfirmations(fields)) {
+            if (!issues.has(element)) issues.set(element, issue);
+        }
+        
+        return [...form.elements]
+            .filter(element => issues.has(element))
+            .map(element => ({ element, label: this.fillEngine.describeField(element), ...issues.get(element) }));
+    }
+    
+    checkConstraints(element, field) {
+        const kind = this.fillEngine.getKind(element);
+        const required = element.required || element.getAttribute('aria-required') === 'true';
+        
+        if (kind === 'checkbox') {
+            return required && !element.checked ? { code: 'required', message: 'must be checked' } : null;
+        }
+        
+        if (kind === 'radio') {
+            const group = this.fillEngine.getRadioGroup(element);
+            const groupRequired = group.some(radio => radio.required);
+            return groupRequired && !group.some(radio => radio.checked) ? { code: 'required', message: 'needs an option chosen' } : null;
+        }
+        
+        if (!element.value.trim()) {
+            return required ? { code: 'required', message: 'is required' } : null;
+        }
+        
+        if (kind === 'select') return null;
+        
+        const pattern = element.getAttribute('pattern');
+        if (pattern && !this.matchesPattern(element.value, pattern)) {
+            const hint = element.getAttribute('title');
+            return { code: 'pattern', message: hint ? `is not in the expected format (${hint})` : 'is not in the expected format' };
+        }
+        
+        if (element.minLength > 0 && element.value.length < element.minLength) {
+            return { code: 'minlength', message: `needs at least ${element.minLength} characters` };
+        }
+        
+        if (element.validity?.typeMismatch && !this.isMixedField(element, field)) {
+            return { code: 'type', message: element.type === 'url' ? 'is not a valid web address' : 'is not a valid email address' };
+        }
+        
+        return null;
+    }
+    
+    matchesPattern(value, pattern) {
+        // Same anchoring as the browser; a pattern the browser would ignore is ignored here too
+        try {
+            return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+        } catch (error) {
+            return true;
+        }
+    }
+    
+    checkValue(element, field) {
+        const checks = FIELD_VALUE_CHECKS[field?.slot];
+        if (!checks || this.fillEngine.getKind(element) !== 'text' || this.isMixedField(element, field)) return null;
+        
+        const value = element.value.trim();
+        if (!value) return null;
+        
+        const failed = checks.find(check => check.test(value));
+        return failed ? { code: 'implausible', message: failed.message } : null;
+    }
+    
+    isMixedField(element, field) {
+        if (!field) return false;
+        
+        // A tie with another slot, or a label naming another kind of value, means no one shape is expected
+        if (field.runnerUp && field.runnerUp.confidence >= field.confidence) return true;
+        return !!MIXED_FIELD_PATTERNS[field.slot]?.test(normalizeFieldText(this.getFieldText(element)));
+    }
+    
+    /**
+     * Confirm-password and confirm-email fields that differ from the field they repeat.
+     * Only fields whose label, name or autocomplete says so count as confirm fields.
+     */
+    checkConfirmations(fields) {
+        const issues = [];
+        const confirms = new Set(fields.filter(field => CONFIRM_FIELD_KINDS[field.slot] && this.isConfirmField(field.element)));
+        
+        for (const [index, field] of fields.entries()) {
+            if (!confirms.has(field)) continue;
+            
+            const kind = CONFIRM_FIELD_KINDS[field.slot];
+            const original = fields.slice(0, index).reverse()
+                .find(candidate => CONFIRM_FIELD_KINDS[candidate.slot] === kind && !confirms.has(candidate));
+            if (!original || !original.element.value) continue;
+            
+            const same = kind === 'email'
+                ? field.element.value.trim().toLowerCase() === original.element.value.trim().toLowerCase()
+                : field.element.value === original.element.value;
+            
+            if (!same) {
+                issues.push({
+                    element: field.element,
+                    code: 'mismatch',
+                    message: kind === 'email' ? 'does not match the email address' : 'does not match the password'
+                });
+            }
+        }
+        
+        return issues;
+    }
+    
+    isConfirmField(element) {
+        const text = `${this.getFieldText(element)} ${element.getAttribute('autocomplete') || ''}`;
+        return CONFIRM_FIELD_PATTERN.test(normalizeFieldText(text));
+    }
+    
+    getFieldText(element) {
+        return [
+            this.classifier.getLabelText(element),
+            element.getAttribute('aria-label'),
+            element.getAttribute('placeholder'),
+            element.name,
+            element.id
+        ].join(' ');
+    }
+    
+    isValidatable(element) {
+        if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) return false;
+        if (element.tagName === 'INPUT' && VALIDATION_SKIPPED_TYPES.includes(element.type)) return false;
+        
+        // :disabled also covers fields inside a disabled fieldset
+        return !element.matches(':disabled') && !element.readOnly && !element.closest('[hidden]');
+    }
+}
+
+function passesLuhn(digits) {
+    if (digits.length < 12 || digits.length > 19) return false;
+    
+    let sum = 0;
+    for (let index = 0; index < digits.length; index++) {
+        let digit = Number(digits[digits.length - 1 - index]);
+        if (index % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    
+    return sum % 10 === 0;
+}
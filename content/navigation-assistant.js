@@ -8,6 +8,15 @@ class NavigationAssistant {
         this.mode = 'standard';
         this.config = {};
         this.activeAssistance = new Set();
+        this.classifier = new FieldClassifier();
+        this.fillEngine = new FillEngine();
+        this.formValidator = new FormValidator(this.classifier, this.fillEngine);
+        this.validation = null; // Problems found when the user last tried to submit, until fixed or dismissed
+        this.reviewedSubmits = new WeakSet(); // Forms the user chose to submit despite problems
+        this.fillSession = null; // Every assisted fill on this page since the last revert or "Done"
+        this.fillDiff = null;
+        this.fillStepTimers = new Map();
+        this.stale = false;
         
         this.initialize();
     }
@@ -15,9 +24,14 @@ class NavigationAssistant {
     async initialize() {
         // Get current mode and config from background
         const status = await this.sendMessage('GET_STATUS');
+        if (!status.success) return;
+        
         this.mode = status.status.mode;
         this.config = status.status.config;
         
+        // SM-013: Nothing runs on pages until the terms are accepted
+        if (!status.status.termsAccepted) return;
+        
         // Set up page observers
         this.setupObservers();
         
@@ -59,6 +73,11 @@ class NavigationAssistant {
                         this.handleNewForm(node.tagName === 'FORM' ? node : node.querySelector('form'));
                     }
                     
+                    // A later step of a multi-step form that is being filled
+                    if (this.fillSession) {
+                        this.checkFillStep(node);
+                    }
+                    
                     // Check for CAPTCHAs
                     if (this.isCaptcha(node)) {
                         this.handleCaptchaDetected(node);
@@ -74,6 +93,13 @@ class NavigationAssistant {
     }
     
     async handleNewForm(form) {
+        const formType = this.identifyFormType(form);
+        
+        // Warn before anything is typed into a lookalike login page
+        if (formType === 'login') {
+            this.checkCredentialOrigin();
+        }
+        
         if (this.mode === 'standard') {
             // Just highlight the form
             this.highlightElement(form, 'Form detected');
@@ -81,68 +107,456 @@ class NavigationAssistant {
         }
         
         // Offer to fill form if we have data
-        const formType = this.identifyFormType(form);
-        
-        if (formType && this.hasDataForForm(formType)) {
-            this.showAssistanceOffer(form, `Auto-fill ${formType} form?`);
+        const profiles = await this.getProfilesForForm(formType);
+        if (profiles.length) {
+            this.showAssistanceOffer(form, `Auto-fill ${formType} form?`, profiles.map(profile => ({
+                label: profile.name,
+                run: () => this.fillFromProfile(form, formType, profile)
+            })));
         }
     }
     
     identifyFormType(form) {
-        const fields = Array.from(form.elements).map(el => el.name || el.id);
+        // Scored from autocomplete, labels, placeholders and input types; see field-classifier.js
+        return this.classifier.classifyForm(form).type;
+    }
+    
+    async getProfilesForForm(formType) {
+        // Only names come back here; values are released when the user picks a profile
+        const response = await this.sendMessage('GET_PROFILES_FOR_FORM', { formType });
+        return response.success ? response.profiles : [];
+    }
+    
+    async fillFromProfile(form, formType, profile) {
+        const response = await this.sendMessage('RETRIEVE_PROFILE', {
+            profileId: profile.id,
+            formType
+        });
         
-        // Common form patterns
-        if (fields.some(f => f.includes('email') || f.includes('username')) &&
-            fields.some(f => f.includes('password'))) {
-            return 'login';
+        if (!response.success) {
+            this.showNotification('Auto-fill unavailable', response.locked
+                ? 'Unlock the vault from the EchoNate toolbar button, then try again.'
+                : response.error);
+            return;
         }
         
-        if (fields.some(f => f.includes('address')) &&
-            fields.some(f => f.includes('city')) &&
-            fields.some(f => f.includes('zip'))) {
-            return 'address';
+        const { values } = response.profile;
+        const fields = this.classifier.classifyForm(form).fields
+            .map(({ element, slot }) => ({ element, value: this.getProfileValue(values, slot) }));
+        
+        const changes = this.fillEngine.plan(fields);
+        if (!changes.length) {
+            this.showNotification('Nothing to fill', `This form already matches ${profile.name}.`);
+            return;
         }
         
-        if (fields.some(f => f.includes('card') || f.includes('credit'))) {
-            return 'payment';
+        // Nothing is written until the user has seen every change
+        const accepted = await this.fillEngine.preview(changes, {
+            title: `Fill ${changes.length} field(s) from ${profile.name}?`,
+            anchor: form
+        });
+        if (!accepted) return;
+        
+        const { applied, failed } = this.fillEngine.apply(changes);
+        this.highlightElement(form, `Filled ${applied.length} field(s) from ${profile.name}. Review before submitting.`);
+        if (failed.length) {
+            this.showNotification('Some fields were not filled',
+                `${failed.map(change => change.label).join(', ')} could not be filled. Enter them yourself.`);
         }
         
-        return 'generic';
+        // SM-006: The fill is logged like any other; nothing is submitted
+        const logged = await this.sendMessage('FILL_FORM', {
+            formData: this.extractFormData(form),
+            autoSubmit: false,
+            failed: failed.length
+        });
+        
+        this.recordFill(form, formType, profile, applied, logged.correlationId);
     }
     
-    hasDataForForm(formType) {
-        // Check if we have stored data for this form type
-        // This would check against user's data vault
-        return false; // Placeholder
+    // ===== FILL UNDO =====
+    
+    recordFill(form, formType, profile, applied, correlationId) {
+        if (!this.fillSession) {
+            this.fillSession = { profile, formType, correlationId, changes: [], forms: new Set(), clearHighlights: [] };
+        }
+        
+        const session = this.fillSession;
+        session.changes.push(...applied);
+        session.forms.add(form);
+        
+        for (const change of applied) {
+            session.clearHighlights.push(this.highlightElement(change.element, null, { color: '#FF9800', duration: null }));
+        }
+        
+        this.showFillControls();
+    }
+    
+    checkFillStep(node) {
+        const fields = node.matches('input, select, textarea') ? [node] : [...node.querySelectorAll('input, select, textarea')];
+        const forms = new Set(fields.map(field => field.form).filter(form => this.fillSession.forms.has(form)));
+        
+        for (const form of forms) {
+            // Steps usually render over several mutations; wait for them to settle
+            clearTimeout(this.fillStepTimers.get(form));
+            this.fillStepTimers.set(form, setTimeout(() => {
+                this.fillStepTimers.delete(form);
+                this.offerFillStep(form);
+            }, 300));
+        }
+    }
+    
+    offerFillStep(form) {
+        if (!this.fillSession) return;
+        
+        const { profile, formType, changes } = this.fillSession;
+        const touched = new Set(changes.map(change => change.element));
+        if (!this.classifier.classifyForm(form).fields.some(field => !touched.has(field.element))) return;
+        
+        this.showAssistanceOffer(form, 'Continue auto-fill on this step?', [{
+            label: profile.name,
+            run: () => this.fillFromProfile(form, formType, profile)
+        }]);
+    }
+    
+    async revertFill() {
+        const session = this.fillSession;
+        if (!session) return;
+        
+        const { reverted, skipped, failed } = this.fillEngine.revert(session.changes);
+        this.endFillSession();
+        
+        this.showNotification('Fill reverted', `Restored ${reverted.length} field(s).` + (skipped.length
+            ? ` ${skipped.length} field(s) you changed since, or that are no longer on the page, were left as they are.`
+            : '') + (failed.length
+            ? ` ${failed.map(change => change.label).join(', ')} could not be restored.`
+            : ''));
+        
+        await this.sendMessage('REVERT_FORM_FILL', {
+            fields: reverted.map(change => change.label),
+            skipped: skipped.length,
+            failed: failed.map(change => change.label),
+            correlationId: session.correlationId
+        });
+    }
+    
+    endFillSession() {
+        if (!this.fillSession) return;
+        
+        this.fillSession.clearHighlights.forEach(clear => clear());
+        this.fillSession.controls?.remove();
+        this.hideFillDiff();
+        this.fillSession = null;
+    }
+    
+    showFillControls() {
+        const session = this.fillSession;
+        
+        if (!session.controls) {
+            const controls = document.createElement('div');
+            controls.style.cssText = `
+                position: fixed;
+                bottom: 20px;
+                left: 20px;
+                background: #333;
+                color: white;
+                padding: 10px 14px;
+                border-radius: 6px;
+                font-size: 13px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+                z-index: 10001;
+                display: flex;
+                gap: 8px;
+                align-items: center;
+            `;
+            
+            const text = document.createElement('span');
+            const button = (label, onClick) => {
+                const element = document.createElement('button');
+                element.textContent = label;
+                element.style.cssText = 'padding: 4px 10px; border: 1px solid white; border-radius: 4px; background: transparent; color: white; cursor: pointer;';
+                element.onclick = onClick;
+                return element;
+            };
+            
+            const diffToggle = button('Show changes', () => {
+                if (this.fillDiff) {
+                    this.hideFillDiff();
+                    diffToggle.textContent = 'Show changes';
+                } else {
+                    this.showFillDiff();
+                    diffToggle.textContent = 'Hide changes';
+                }
+            });
+            
+            controls.append(text, diffToggle, button('↩ Revert fill', () => this.revertFill()), button('Done', () => this.endFillSession()));
+            document.body.appendChild(controls);
+            session.controls = controls;
+        }
+        
+        session.controls.firstChild.textContent = `✏️ EchoNate filled ${session.changes.length} field(s)`;
+        if (this.fillDiff) this.showFillDiff();
+    }
+    
+    showFillDiff() {
+        // One marker per filled field with what it held before; markers scroll with the page
+        this.hideFillDiff();
+        this.fillDiff = document.createElement('div');
+        
+        for (const change of this.fillSession.changes) {
+            if (!change.element.isConnected) continue;
+            
+            const rect = change.element.getBoundingClientRect();
+            const marker = document.createElement('div');
+            marker.style.cssText = `
+                position: absolute;
+                top: ${rect.top + window.scrollY - 18}px;
+                left: ${rect.left + window.scrollX}px;
+                background: #FF9800;
+                color: white;
+                padding: 1px 6px;
+                border-radius: 3px;
+                font-size: 11px;
+                z-index: 10000;
+                pointer-events: none;
+                max-width: 240px;
+                overflow: hidden;
+                white-space: nowrap;
+                text-overflow: ellipsis;
+            `;
+            marker.textContent = `${change.label}: was ${change.from ? `"${change.from}"` : 'empty'}`;
+            this.fillDiff.appendChild(marker);
+        }
+        
+        document.body.appendChild(this.fillDiff);
+    }
+    
+    hideFillDiff() {
+        this.fillDiff?.remove();
+        this.fillDiff = null;
+    }
+    
+    getProfileValue(values, slot) {
+        // Profiles store name parts; a single full-name field gets both
+        if (slot === 'name') {
+            return [values['given-name'], values['family-name']].filter(Boolean).join(' ');
+        }
+        
+        return values[slot];
     }
     
     async handleFormSubmit(event) {
         const form = event.target;
+        const needsApproval = !!(this.config.formAutoSubmit && this.config.userConfirmation);
+        
+        // Checked before anything else, while the submit can still be held
+        const issues = this.formValidator.validate(form);
+        const reviewed = this.reviewedSubmits.delete(form);
+        this.clearValidation();
+        
+        // Only a submit that waits for confirmation anyway is held over its problems. Any other
+        // submit belongs to the page and goes ahead; the problems stay marked if the page does.
+        if (issues.length && !reviewed) {
+            this.showValidation(form, issues, event.submitter, { held: needsApproval });
+            
+            if (needsApproval) {
+                // Held from the page's own handlers too; "Submit anyway" submits through them again
+                event.preventDefault();
+                event.stopPropagation();
+                return;
+            }
+        }
         
-        // Log form submission
-        await this.sendMessage('FILL_FORM', {
+        // If confirmation is required, prevent now - after the first await the form is already gone
+        if (needsApproval) {
+            event.preventDefault();
+        }
+        
+        // Log form submission; problems the user let through are shown in the confirmation
+        const logged = await this.sendMessage('FILL_FORM', {
             formData: this.extractFormData(form),
-            autoSubmit: false
+            autoSubmit: needsApproval,
+            issues: issues.map(issue => ({ field: issue.label, message: issue.message }))
         });
         
-        // If auto-submit is disabled, let it proceed normally
-        if (!this.config.formAutoSubmit) {
+        // If auto-submit is disabled, it proceeds normally
+        if (!needsApproval) {
             return;
         }
         
-        // If confirmation is required, prevent and ask user
-        if (this.config.userConfirmation) {
-            event.preventDefault();
+        // Fail closed: a refused or unanswered request keeps the form held
+        if (logged.success && logged.action === 'fill_only') {
+            form.submit();
+        } else if (logged.success && logged.action === 'request_confirmation') {
+            if (await this.awaitApproval(logged)) form.submit();
+        } else {
+            this.showNotification('Form not submitted', logged.error || 'EchoNate could not confirm this submission.');
+        }
+    }
+    
+    showValidation(form, issues, submitter, { held = true } = {}) {
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            width: 320px;
+            max-height: 50vh;
+            overflow: auto;
+            background: white;
+            border: 1px solid #ddd;
+            border-left: 4px solid #F44336;
+            border-radius: 8px;
+            padding: 12px 16px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+            font-size: 13px;
+            color: #333;
+            z-index: 10001;
+        `;
+        
+        // Fixing a field re-checks the form, so resolved problems drop off as the user types
+        const recheck = () => {
+            const remaining = this.formValidator.validate(form);
+            const index = Math.min(this.validation.index, Math.max(remaining.length - 1, 0));
             
-            const confirmed = await this.confirmAction(
-                'Submit this form?',
-                this.extractFormData(form)
-            );
+            if (remaining.length === 0) {
+                this.clearValidation();
+                this.showNotification('Form looks good', 'No problems left. Submit it when you are ready.');
+                return;
+            }
             
-            if (confirmed) {
-                form.submit();
+            this.validation.issues = remaining;
+            this.renderValidation(index);
+        };
+        form.addEventListener('input', recheck);
+        form.addEventListener('change', recheck);
+        
+        this.validation = {
+            form,
+            issues,
+            submitter,
+            held, // Whether the submit waits on this panel, so it offers "Submit anyway"
+            panel,
+            index: 0,
+            markers: null,
+            clearHighlights: [],
+            stopRecheck: () => {
+                form.removeEventListener('input', recheck);
+                form.removeEventListener('change', recheck);
             }
+        };
+        
+        document.body.appendChild(panel);
+        this.renderValidation(0);
+        this.jumpToIssue(0);
+    }
+    
+    renderValidation(index) {
+        const validation = this.validation;
+        const { issues, panel } = validation;
+        validation.index = index;
+        
+        // Outline and label every problem in place
+        validation.clearHighlights.forEach(clear => clear());
+        validation.markers?.remove();
+        validation.clearHighlights = issues.map(issue => this.highlightElement(issue.element, null, { color: '#F44336', duration: null }));
+        validation.markers = document.createElement('div');
+        
+        for (const issue of issues) {
+            const rect = issue.element.getBoundingClientRect();
+            const marker = document.createElement('div');
+            marker.style.cssText = `
+                position: absolute;
+                top: ${rect.bottom + window.scrollY + 4}px;
+                left: ${rect.left + window.scrollX}px;
+                background: #F44336;
+                color: white;
+                padding: 1px 6px;
+                border-radius: 3px;
+                font-size: 11px;
+                z-index: 10000;
+                pointer-events: none;
+                max-width: 280px;
+            `;
+            marker.textContent = `${issue.label} ${issue.message}`;
+            validation.markers.appendChild(marker);
         }
+        document.body.appendChild(validation.markers);
+        
+        panel.innerHTML = '';
+        
+        const heading = document.createElement('div');
+        heading.style.cssText = 'font-weight: bold; margin-bottom: 8px;';
+        heading.textContent = `⚠️ ${issues.length} problem(s) in this form`;
+        panel.appendChild(heading);
+        
+        issues.forEach((issue, position) => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                padding: 6px;
+                border-top: 1px solid #eee;
+                cursor: pointer;
+                background: ${position === index ? '#FFEBEE' : 'transparent'};
+            `;
+            row.textContent = `${issue.label} ${issue.message}`;
+            row.onclick = () => this.jumpToIssue(position);
+            panel.appendChild(row);
+        });
+        
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end; margin-top: 10px;';
+        
+        const button = (label, onClick, primary = false) => {
+            const element = document.createElement('button');
+            element.textContent = label;
+            element.style.cssText = primary
+                ? 'padding: 4px 10px; border: none; border-radius: 4px; background: #2196F3; color: white; cursor: pointer;'
+                : 'padding: 4px 10px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer;';
+            element.onclick = onClick;
+            return element;
+        };
+        
+        const step = offset => this.jumpToIssue((validation.index + offset + issues.length) % issues.length);
+        
+        actions.append(
+            button('‹ Prev', () => step(-1)),
+            button('Next ›', () => step(1)),
+            button('Dismiss', () => this.clearValidation())
+        );
+        if (validation.held) actions.append(button('Submit anyway', () => this.submitAnyway(), true));
+        panel.appendChild(actions);
+    }
+    
+    jumpToIssue(index) {
+        if (!this.validation) return;
+        
+        const { element } = this.validation.issues[index];
+        this.renderValidation(index);
+        
+        // A radio group is reached through its first option
+        const target = element.type === 'radio' ? this.fillEngine.getRadioGroup(element)[0] : element;
+        target.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+        target.focus({ preventScroll: true });
+    }
+    
+    submitAnyway() {
+        const { form, submitter } = this.validation;
+        this.clearValidation();
+        this.reviewedSubmits.add(form);
+        
+        // Unlike form.submit(), this runs the page's submit handlers and our own again
+        form.requestSubmit(submitter?.form === form ? submitter : undefined);
+    }
+    
+    clearValidation() {
+        const validation = this.validation;
+        if (!validation) return;
+        
+        validation.stopRecheck();
+        validation.clearHighlights.forEach(clear => clear());
+        validation.markers?.remove();
+        validation.panel.remove();
+        this.validation = null;
     }
     
     extractFormData(form) {
@@ -157,6 +571,19 @@ class NavigationAssistant {
         return data;
     }
     
+    async checkCredentialOrigin() {
+        if (this.activeAssistance.has('origin-check')) return;
+        this.activeAssistance.add('origin-check');
+        
+        const response = await this.sendMessage('MANAGE_CREDENTIALS', {
+            operation: 'check-origin'
+        });
+        
+        if (response?.lookalike) {
+            this.showLookalikeWarning(response.lookalike);
+        }
+    }
+    
     detectCaptchas() {
         // Common CAPTCHA selectors
         const captchaSelectors = [
@@ -198,10 +625,7 @@ class NavigationAssistant {
         }
         
         if (response.action === 'request_confirmation') {
-            const confirmed = await this.confirmAction(
-                response.message,
-                { provider: response.provider, cost: `$${response.cost}` }
-            );
+            const confirmed = await this.awaitApproval(response);
             
             if (confirmed) {
                 // Request actual solving
@@ -377,17 +801,21 @@ class NavigationAssistant {
     
     // ===== UI HELPERS =====
     
-    highlightElement(element, message) {
-        element.style.outline = '2px solid #4CAF50';
+    highlightElement(element, message, { color = '#4CAF50', duration = 3000 } = {}) {
+        element.style.outline = `2px solid ${color}`;
         element.style.outlineOffset = '2px';
         
         if (message) {
             this.showTooltip(element, message);
         }
         
-        setTimeout(() => {
+        // A null duration keeps the outline until the returned function is called
+        const clear = () => {
             element.style.outline = '';
-        }, 3000);
+        };
+        
+        if (duration) setTimeout(clear, duration);
+        return clear;
     }
     
     showTooltip(element, message) {
@@ -429,17 +857,58 @@ class NavigationAssistant {
             max-width: 300px;
         `;
         
-        notification.innerHTML = `
-            <div style="font-weight: bold; margin-bottom: 8px;">${title}</div>
-            <div style="font-size: 14px; color: #666;">${message}</div>
-        `;
+        // Messages can carry background errors and profile names, so they are set as text
+        const heading = document.createElement('div');
+        heading.style.cssText = 'font-weight: bold; margin-bottom: 8px;';
+        heading.textContent = title;
+        
+        const body = document.createElement('div');
+        body.style.cssText = 'font-size: 14px; color: #666;';
+        body.textContent = message;
         
+        notification.append(heading, body);
         document.body.appendChild(notification);
         
         setTimeout(() => notification.remove(), 5000);
     }
     
-    showAssistanceOffer(element, message) {
+    showLookalikeWarning(lookalike) {
+        if (this.activeAssistance.has('lookalike-warning')) return;
+        this.activeAssistance.add('lookalike-warning');
+        
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            background: #C62828;
+            color: white;
+            padding: 16px 24px;
+            font-size: 14px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+            z-index: 10002;
+            display: flex;
+            gap: 16px;
+            align-items: center;
+        `;
+        
+        const text = document.createElement('div');
+        text.style.flex = '1';
+        text.textContent = `⚠️ ${lookalike.host} looks like ${lookalike.resembles} but is a different site. ` +
+            'EchoNate will not fill saved credentials here. Do not enter your password unless you are sure.';
+        
+        const dismiss = document.createElement('button');
+        dismiss.textContent = 'Dismiss';
+        dismiss.style.cssText = 'padding: 8px 16px; border: 1px solid white; border-radius: 4px; background: transparent; color: white; cursor: pointer;';
+        dismiss.onclick = () => overlay.remove();
+        
+        overlay.appendChild(text);
+        overlay.appendChild(dismiss);
+        document.body.appendChild(overlay);
+    }
+    
+    showAssistanceOffer(element, message, choices = []) {
         const offer = document.createElement('div');
         offer.style.cssText = `
             position: absolute;
@@ -456,8 +925,20 @@ class NavigationAssistant {
         offer.style.top = `${rect.top - 50}px`;
         offer.style.left = `${rect.left}px`;
         
+        // One button per choice; without choices the offer itself just dismisses
+        for (const choice of choices) {
+            const button = document.createElement('button');
+            button.textContent = choice.label;
+            button.style.cssText = 'margin-left: 8px; padding: 4px 10px; border: 1px solid white; border-radius: 4px; background: transparent; color: white; cursor: pointer;';
+            button.onclick = (e) => {
+                e.stopPropagation();
+                offer.remove();
+                choice.run();
+            };
+            offer.appendChild(button);
+        }
+        
         offer.onclick = () => {
-            // Handle assistance acceptance
             offer.remove();
         };
         
@@ -466,77 +947,53 @@ class NavigationAssistant {
         setTimeout(() => offer.remove(), 10000);
     }
     
-    async confirmAction(message, details) {
-        // Create confirmation dialog
-        return new Promise((resolve) => {
-            const dialog = document.createElement('div');
-            dialog.style.cssText = `
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                background: white;
-                border-radius: 8px;
-                padding: 24px;
-                box-shadow: 0 8px 32px rgba(0,0,0,0.3);
-                z-index: 10001;
-                min-width: 400px;
-            `;
-            
-            dialog.innerHTML = `
-                <div style="font-size: 18px; font-weight: bold; margin-bottom: 16px;">
-                    ${message}
-                </div>
-                <div style="font-size: 14px; color: #666; margin-bottom: 20px;">
-                    ${JSON.stringify(details, null, 2)}
-                </div>
-                <div style="display: flex; gap: 12px; justify-content: flex-end;">
-                    <button id="cancel" style="padding: 8px 16px; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;">
-                        Cancel
-                    </button>
-                    <button id="confirm" style="padding: 8px 16px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">
-                        Confirm
-                    </button>
-                </div>
-            `;
-            
-            const overlay = document.createElement('div');
-            overlay.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                right: 0;
-                bottom: 0;
-                background: rgba(0,0,0,0.5);
-                z-index: 10000;
-            `;
-            
-            document.body.appendChild(overlay);
-            document.body.appendChild(dialog);
-            
-            dialog.querySelector('#confirm').onclick = () => {
-                overlay.remove();
-                dialog.remove();
-                resolve(true);
-            };
-            
-            dialog.querySelector('#cancel').onclick = () => {
-                overlay.remove();
-                dialog.remove();
-                resolve(false);
-            };
-        });
+    async awaitApproval(request) {
+        // SM-001: The decision is made in the EchoNate popup or a notification, where
+        // the page cannot hide or fake it. This banner only tells the user where to look.
+        const banner = document.createElement('div');
+        banner.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: #333;
+            color: white;
+            padding: 12px 20px;
+            border-radius: 6px;
+            font-size: 14px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+            z-index: 10001;
+            pointer-events: none;
+        `;
+        banner.textContent = `⏳ ${request.message} Approve or deny it from the EchoNate toolbar button.`;
+        document.body.appendChild(banner);
+        
+        const response = await this.sendMessage('AWAIT_APPROVAL', { approvalId: request.approvalId });
+        banner.remove();
+        
+        if (response.status === 'expired') {
+            this.showNotification('Request expired', 'No decision was made in time, so nothing was done.');
+        }
+        
+        return response.success && response.approved;
     }
     
     // ===== MESSAGING =====
     
     async sendMessage(action, data = {}) {
-        return new Promise((resolve) => {
-            chrome.runtime.sendMessage(
-                { action, ...data },
-                (response) => resolve(response)
-            );
-        });
+        // After an extension update this script is stale until the page reloads
+        if (this.stale) {
+            return EchoNateProtocol.errorResponse(EchoNateProtocol.ERROR_CODES.VERSION_MISMATCH, 'Reload the page to use EchoNate');
+        }
+        
+        const response = await EchoNateProtocol.send(action, data);
+        
+        if (response.code === EchoNateProtocol.ERROR_CODES.VERSION_MISMATCH) {
+            this.stale = true;
+            console.warn('⚠️  EchoNate was updated. Reload this page to re-enable assistance.');
+        }
+        
+        return response;
     }
 }
 
@@ -0,0 +1,272 @@
+/**
+ * EchoNate v2.0 - Audit Log Viewer
+ */
+
+const PAGE_SIZE = 50;
+
+const FACET_LABELS = {
+    action: 'Action',
+    mode: 'Mode',
+    safetyLevel: 'Safety Level',
+    domain: 'Domain'
+};
+
+let query = { text: '', page: 1, pageSize: PAGE_SIZE };
+let lastResult = null;
+let searchTimer = null;
+
+async function initialize() {
+    setupEventListeners();
+    await refresh();
+    await refreshArchives();
+}
+
+async function refresh() {
+    const response = await sendMessage('QUERY_AUDIT', { query });
+    
+    if (!response.success) {
+        document.getElementById('summary').textContent = response.error;
+        return;
+    }
+    
+    lastResult = response;
+    
+    document.getElementById('summary').textContent =
+        `${response.totalEvents} matching events in ${response.total} entries`;
+    
+    renderFacets(response.facets);
+    renderEvents(response.entries);
+    renderPager(response);
+}
+
+function renderFacets(facets) {
+    const container = document.getElementById('facets');
+    container.innerHTML = '';
+    
+    for (const [facet, label] of Object.entries(FACET_LABELS)) {
+        const section = document.createElement('div');
+        section.className = 'facet';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = label;
+        section.appendChild(heading);
+        
+        const values = Object.entries(facets[facet]).sort((a, b) => b[1] - a[1]);
+        
+        for (const [value, count] of values) {
+            const row = document.createElement('div');
+            row.className = `facet-value ${query[facet] === value ? 'active' : ''}`;
+            
+            const name = document.createElement('span');
+            name.textContent = value;
+            const total = document.createElement('span');
+            total.textContent = count;
+            
+            row.appendChild(name);
+            row.appendChild(total);
+            
+            // Clicking an active facet clears it
+            row.addEventListener('click', () => {
+                query[facet] = query[facet] === value ? undefined : value;
+                query.page = 1;
+                refresh();
+            });
+            
+            section.appendChild(row);
+        }
+        
+        container.appendChild(section);
+    }
+}
+
+function renderEvents(entries) {
+    const container = document.getElementById('events');
+    container.innerHTML = '';
+    
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="empty">No events match</div>';
+        return;
+    }
+    
+    for (const entry of entries) {
+        if (!entry.correlationId) {
+            container.appendChild(createEventRow(entry.events[0]));
+            continue;
+        }
+        
+        const group = document.createElement('div');
+        group.className = 'group';
+        
+        const label = document.createElement('div');
+        label.className = 'group-label';
+        label.textContent = `🔗 ${entry.events.length} linked events`;
+        group.appendChild(label);
+        
+        for (const event of entry.events) {
+            group.appendChild(createEventRow(event));
+        }
+        
+        container.appendChild(group);
+    }
+}
+
+function createEventRow(event) {
+    const row = document.createElement('div');
+    row.className = 'event';
+    
+    const time = document.createElement('span');
+    time.className = 'time';
+    time.textContent = new Date(event.timestamp).toLocaleString();
+    
+    const action = document.createElement('span');
+    action.className = 'action';
+    action.textContent = event.action;
+    
+    const mode = document.createElement('span');
+    mode.textContent = event.mode;
+    
+    const safety = document.createElement('span');
+    safety.className = `badge ${event.safetyLevel}`;
+    safety.textContent = event.safetyLevel;
+    
+    row.append(time, action, mode, safety);
+    
+    row.addEventListener('click', () => {
+        document.querySelectorAll('.event.selected').forEach(el => el.classList.remove('selected'));
+        row.classList.add('selected');
+        showDetails(event);
+    });
+    
+    return row;
+}
+
+function showDetails(event) {
+    const container = document.getElementById('details');
+    container.innerHTML = '';
+    
+    const heading = document.createElement('h3');
+    heading.textContent = event.action;
+    
+    const meta = document.createElement('pre');
+    meta.textContent = [
+        `ID:          ${event.id}`,
+        `Time:        ${event.timestamp}`,
+        `Mode:        ${event.mode}`,
+        `Safety:      ${event.safetyLevel}`,
+        `Domain:      ${event.domain || '—'}`,
+        `Correlation: ${event.correlationId || '—'}`,
+        `Hash:        ${event.hash || '—'}`
+    ].join('\n');
+    
+    const details = document.createElement('pre');
+    details.style.marginTop = '12px';
+    details.textContent = JSON.stringify(event.details, null, 2);
+    
+    container.append(heading, meta, details);
+}
+
+function renderPager(result) {
+    const pages = Math.max(1, Math.ceil(result.total / result.pageSize));
+    
+    document.getElementById('page-info').textContent = `Page ${result.page} of ${pages}`;
+    document.getElementById('prev-page').disabled = result.page <= 1;
+    document.getElementById('next-page').disabled = result.page >= pages;
+}
+
+async function refreshArchives() {
+    const response = await sendMessage('LIST_AUDIT_ARCHIVES');
+    const container = document.getElementById('archives');
+    container.innerHTML = '';
+    
+    if (!response.success || response.archives.length === 0) {
+        container.innerHTML = '<div class="empty">No archived segments</div>';
+        return;
+    }
+    
+    for (const archive of response.archives) {
+        const row = document.createElement('div');
+        row.className = 'archive';
+        
+        const range = document.createElement('span');
+        range.className = 'range';
+        range.textContent = `${new Date(archive.from).toLocaleString()} – ${new Date(archive.to).toLocaleString()} · ${archive.eventCount} events`;
+        
+        const exported = document.createElement('span');
+        exported.className = 'exported';
+        exported.textContent = archive.exportedAt ? `Exported ${new Date(archive.exportedAt).toLocaleString()}` : '';
+        
+        const exportButton = document.createElement('button');
+        exportButton.className = 'action-btn';
+        exportButton.textContent = 'Export';
+        exportButton.addEventListener('click', () => exportArchive(archive));
+        
+        // Deleting is only offered once a copy has been saved
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'action-btn danger';
+        deleteButton.textContent = 'Delete';
+        deleteButton.disabled = !archive.exportedAt;
+        deleteButton.title = archive.exportedAt ? '' : 'Export this segment first';
+        deleteButton.addEventListener('click', () => deleteArchive(archive));
+        
+        row.append(range, exported, exportButton, deleteButton);
+        container.appendChild(row);
+    }
+}
+
+async function exportArchive(archive) {
+    const response = await sendMessage('EXPORT_AUDIT_ARCHIVE', { segmentId: archive.segmentId });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    const blob = new Blob([response.content], { type: response.mimeType });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `echonate-audit-${archive.segmentId}.${response.extension}`;
+    a.click();
+    
+    showNotification(`Signed archive exported (${response.eventCount} events, key ${response.keyFingerprint.slice(0, 12)}…)`);
+    await refreshArchives();
+}
+
+async function deleteArchive(archive) {
+    if (!confirm(`Delete ${archive.eventCount} archived events? Keep the exported file: it will be the only copy.`)) return;
+    
+    const response = await sendMessage('DELETE_AUDIT_ARCHIVE', { segmentId: archive.segmentId });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    showNotification('Archived segment deleted');
+    await refreshArchives();
+}
+
+function setupEventListeners() {
+    document.getElementById('search').addEventListener('input', (e) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            query.text = e.target.value;
+            query.page = 1;
+            refresh();
+        }, 250);
+    });
+    
+    document.getElementById('prev-page').addEventListener('click', () => {
+        query.page = Math.max(1, query.page - 1);
+        refresh();
+    });
+    
+    document.getElementById('next-page').addEventListener('click', () => {
+        if (lastResult && query.page * lastResult.pageSize < lastResult.total) {
+            query.page++;
+            refresh();
+        }
+    });
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', initialize);
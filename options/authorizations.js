@@ -0,0 +1,185 @@
+/**
+ * EchoNate v2.0 - Authorization Registry
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let authorizations = [];
+let features = {};
+
+async function initialize() {
+    setupEventListeners();
+    await refresh();
+}
+
+async function refresh() {
+    const response = await sendMessage('LIST_AUTHORIZATIONS');
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    authorizations = response.authorizations;
+    features = response.features;
+    renderFeatureOptions();
+    renderRegistry();
+}
+
+function renderFeatureOptions() {
+    const container = document.getElementById('auth-features');
+    if (container.childElementCount) return;
+    
+    for (const [id, label] of Object.entries(features)) {
+        const option = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = id;
+        option.append(checkbox, ` ${label}`);
+        container.appendChild(option);
+    }
+}
+
+function renderRegistry() {
+    const tbody = document.getElementById('auth-rows');
+    tbody.innerHTML = '';
+    
+    document.getElementById('no-auths').style.display = authorizations.length ? 'none' : 'block';
+    
+    for (const entry of authorizations) {
+        const row = document.createElement('tr');
+        const cells = [
+            entry.pattern,
+            [entry.owner, entry.reference].filter(Boolean).join(' · '),
+            `${formatDate(entry.validFrom)} – ${formatDate(entry.validUntil - DAY_MS)}`,
+            entry.features.map(feature => features[feature] || feature).join(', ')
+        ];
+        
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        
+        const status = getStatus(entry);
+        const statusCell = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `status ${status}`;
+        badge.textContent = status;
+        statusCell.appendChild(badge);
+        row.appendChild(statusCell);
+        
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        
+        const edit = document.createElement('button');
+        edit.className = 'action-btn small secondary';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => startEdit(entry));
+        
+        const remove = document.createElement('button');
+        remove.className = 'action-btn small danger';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => deleteAuthorization(entry));
+        
+        actions.append(edit, remove);
+        row.appendChild(actions);
+        tbody.appendChild(row);
+    }
+}
+
+function getStatus(entry) {
+    const now = Date.now();
+    if (now < entry.validFrom) return 'upcoming';
+    if (now >= entry.validUntil) return 'expired';
+    return 'active';
+}
+
+function startEdit(entry) {
+    document.getElementById('form-title').textContent = `Edit ${entry.pattern}`;
+    document.getElementById('save-btn').textContent = 'Save';
+    document.getElementById('cancel-edit').style.display = 'block';
+    
+    document.getElementById('auth-id').value = entry.id;
+    document.getElementById('auth-pattern').value = entry.pattern;
+    document.getElementById('auth-owner').value = entry.owner;
+    document.getElementById('auth-reference').value = entry.reference;
+    document.getElementById('auth-from').value = toDateInput(entry.validFrom);
+    document.getElementById('auth-until').value = toDateInput(entry.validUntil - DAY_MS);
+    
+    document.querySelectorAll('#auth-features input').forEach(checkbox => {
+        checkbox.checked = entry.features.includes(checkbox.value);
+    });
+}
+
+function resetForm() {
+    document.getElementById('auth-form').reset();
+    document.getElementById('auth-id').value = '';
+    document.getElementById('form-title').textContent = 'Add Authorization';
+    document.getElementById('save-btn').textContent = '+ Add';
+    document.getElementById('cancel-edit').style.display = 'none';
+}
+
+async function saveAuthorization(e) {
+    e.preventDefault();
+    
+    // Dates are local calendar days; the window runs to the end of the "until" day
+    const authorization = {
+        id: document.getElementById('auth-id').value || undefined,
+        pattern: document.getElementById('auth-pattern').value.trim(),
+        owner: document.getElementById('auth-owner').value.trim(),
+        reference: document.getElementById('auth-reference').value.trim(),
+        validFrom: fromDateInput(document.getElementById('auth-from').value),
+        validUntil: fromDateInput(document.getElementById('auth-until').value) + DAY_MS,
+        features: [...document.querySelectorAll('#auth-features input:checked')].map(checkbox => checkbox.value)
+    };
+    
+    const response = await sendMessage('SAVE_AUTHORIZATION', { authorization });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    showNotification(`Authorization for ${response.authorization.pattern} saved`);
+    resetForm();
+    await refresh();
+}
+
+async function deleteAuthorization(entry) {
+    if (!confirm(`Delete the authorization for ${entry.pattern}?`)) return;
+    
+    const response = await sendMessage('DELETE_AUTHORIZATION', { id: entry.id });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    showNotification('Authorization deleted');
+    await refresh();
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString();
+}
+
+function toDateInput(timestamp) {
+    const date = new Date(timestamp);
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('-');
+}
+
+function fromDateInput(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+}
+
+function setupEventListeners() {
+    document.getElementById('auth-form').addEventListener('submit', saveAuthorization);
+    document.getElementById('cancel-edit').addEventListener('click', resetForm);
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', initialize);
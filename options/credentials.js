@@ -0,0 +1,172 @@
+/**
+ * EchoNate v2.0 - Credential Manager Page
+ */
+
+let searchTimer = null;
+
+async function initialize() {
+    setupEventListeners();
+    await refresh();
+}
+
+async function refresh() {
+    const response = await sendMessage('MANAGE_CREDENTIALS', {
+        operation: 'list',
+        query: document.getElementById('search').value
+    });
+    
+    if (response.locked) {
+        document.getElementById('locked-notice').style.display = 'block';
+        document.getElementById('manager').style.display = 'none';
+        return;
+    }
+    
+    document.getElementById('locked-notice').style.display = 'none';
+    document.getElementById('manager').style.display = 'block';
+    
+    if (response.success) {
+        renderCredentials(response.credentials);
+    } else {
+        showNotification(response.error, 'error');
+    }
+}
+
+function renderCredentials(credentials) {
+    const rows = document.getElementById('credential-rows');
+    rows.innerHTML = '';
+    
+    document.getElementById('empty').style.display = credentials.length ? 'none' : 'block';
+    
+    for (const entry of credentials) {
+        const row = document.createElement('tr');
+        
+        const cells = [
+            entry.site,
+            entry.username || '—',
+            entry.approvedSubdomains.join(', ') || '—',
+            new Date(entry.updatedAt).toLocaleString()
+        ];
+        
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        actions.appendChild(createButton('Edit', 'secondary', () => editCredential(entry)));
+        actions.appendChild(createButton('Rename Site', 'secondary', () => renameSite(entry)));
+        actions.appendChild(createButton('Subdomains', 'secondary', () => editSubdomains(entry)));
+        actions.appendChild(createButton('Delete', 'danger', () => deleteCredential(entry)));
+        row.appendChild(actions);
+        
+        rows.appendChild(row);
+    }
+}
+
+function createButton(label, variant, onClick) {
+    const button = document.createElement('button');
+    button.className = `action-btn small ${variant}`;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function setupEventListeners() {
+    document.getElementById('unlock-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const input = document.getElementById('passphrase');
+        const response = await sendMessage('UNLOCK_VAULT', { passphrase: input.value });
+        input.value = '';
+        
+        if (response.success) {
+            await refresh();
+        } else {
+            showNotification(response.error, 'error');
+        }
+    });
+    
+    document.getElementById('search').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(refresh, 200);
+    });
+    
+    document.getElementById('add-btn').addEventListener('click', addCredential);
+    
+    document.getElementById('lock-btn').addEventListener('click', async () => {
+        await sendMessage('LOCK_VAULT');
+        await refresh();
+    });
+}
+
+async function addCredential() {
+    const values = await promptFields('Add Credential', [
+        { name: 'site', label: 'Site', type: 'text' },
+        { name: 'username', label: 'Username', type: 'text' },
+        { name: 'password', label: 'Password', type: 'password' }
+    ]);
+    if (!values) return;
+    
+    await runOperation({ operation: 'store', ...values });
+}
+
+async function editCredential(entry) {
+    const values = await promptFields(`Edit ${entry.site}`, [
+        { name: 'username', label: 'Username', type: 'text', value: entry.username },
+        { name: 'password', label: 'New password (leave empty to keep)', type: 'password' }
+    ]);
+    if (!values) return;
+    
+    if (!values.password) delete values.password;
+    
+    await runOperation({ operation: 'update', site: entry.site, ...values });
+}
+
+async function renameSite(entry) {
+    const values = await promptFields(`Rename ${entry.site}`, [
+        { name: 'newSite', label: 'New site', type: 'text', value: entry.site }
+    ]);
+    if (!values || values.newSite === entry.site) return;
+    
+    await runOperation({ operation: 'rename-site', site: entry.site, newSite: values.newSite });
+}
+
+async function editSubdomains(entry) {
+    const values = await promptFields(`Subdomains allowed to use ${entry.site}`, [
+        { name: 'hosts', label: 'Approved subdomains (comma separated)', type: 'text', value: entry.approvedSubdomains.join(', ') }
+    ]);
+    if (!values) return;
+    
+    const requested = values.hosts.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+    
+    for (const host of requested.filter(h => !entry.approvedSubdomains.includes(h))) {
+        await runOperation({ operation: 'approve-subdomain', site: entry.site, host });
+    }
+    
+    for (const host of entry.approvedSubdomains.filter(h => !requested.includes(h))) {
+        await runOperation({ operation: 'revoke-subdomain', site: entry.site, host });
+    }
+}
+
+async function deleteCredential(entry) {
+    if (!confirm(`Delete stored credentials for ${entry.site}?`)) return;
+    
+    await runOperation({ operation: 'delete', site: entry.site });
+}
+
+async function runOperation(data) {
+    const response = await sendMessage('MANAGE_CREDENTIALS', data);
+    
+    if (response.success) {
+        showNotification(response.message);
+    } else {
+        showNotification(response.error, 'error');
+    }
+    
+    await refresh();
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', initialize);
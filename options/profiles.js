@@ -0,0 +1,195 @@
+/**
+ * EchoNate v2.0 - Autofill Profiles
+ */
+
+let profiles = [];
+let kinds = {};
+let fields = {};
+let locked = true;
+
+async function initialize() {
+    setupEventListeners();
+    await refresh();
+}
+
+async function refresh() {
+    const response = await sendMessage('LIST_PROFILES');
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    profiles = response.profiles;
+    kinds = response.kinds;
+    fields = response.fields;
+    locked = response.locked;
+    
+    // Names and kinds are readable while locked; values are not
+    document.getElementById('locked-notice').style.display = locked ? 'block' : 'none';
+    document.getElementById('editor').style.display = locked ? 'none' : 'block';
+    
+    renderFormFields();
+    renderProfiles();
+}
+
+function renderFormFields() {
+    const kindSelect = document.getElementById('profile-kind');
+    if (kindSelect.childElementCount) return;
+    
+    for (const [id, label] of Object.entries(kinds)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        kindSelect.appendChild(option);
+    }
+    
+    const container = document.getElementById('profile-fields');
+    for (const [id, label] of Object.entries(fields)) {
+        const field = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = id === 'email' ? 'email' : id === 'tel' ? 'tel' : 'text';
+        input.dataset.field = id;
+        // Keep the browser's own autofill out of this form
+        input.autocomplete = 'off';
+        field.append(label, input);
+        container.appendChild(field);
+    }
+}
+
+function renderProfiles() {
+    const tbody = document.getElementById('profile-rows');
+    tbody.innerHTML = '';
+    
+    document.getElementById('no-profiles').style.display = profiles.length ? 'none' : 'block';
+    
+    for (const profile of profiles) {
+        const row = document.createElement('tr');
+        const cells = [
+            profile.name,
+            kinds[profile.kind] || profile.kind,
+            profile.fields.map(field => fields[field] || field).join(', '),
+            new Date(profile.updatedAt).toLocaleString()
+        ];
+        
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        
+        if (!locked) {
+            const edit = document.createElement('button');
+            edit.className = 'action-btn small secondary';
+            edit.textContent = 'Edit';
+            edit.addEventListener('click', () => startEdit(profile));
+            actions.appendChild(edit);
+        }
+        
+        const remove = document.createElement('button');
+        remove.className = 'action-btn small danger';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => deleteProfile(profile));
+        actions.appendChild(remove);
+        
+        row.appendChild(actions);
+        tbody.appendChild(row);
+    }
+}
+
+async function startEdit(profile) {
+    const response = await sendMessage('GET_PROFILE', { id: profile.id });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        if (response.locked) await refresh();
+        return;
+    }
+    
+    document.getElementById('form-title').textContent = `Edit ${profile.name}`;
+    document.getElementById('save-btn').textContent = 'Save';
+    document.getElementById('cancel-edit').style.display = 'block';
+    
+    document.getElementById('profile-id').value = profile.id;
+    document.getElementById('profile-name').value = profile.name;
+    document.getElementById('profile-kind').value = profile.kind;
+    
+    document.querySelectorAll('#profile-fields input').forEach(input => {
+        input.value = response.profile.values[input.dataset.field] || '';
+    });
+}
+
+function resetForm() {
+    document.getElementById('profile-form').reset();
+    document.getElementById('profile-id').value = '';
+    document.getElementById('form-title').textContent = 'Add Profile';
+    document.getElementById('save-btn').textContent = '+ Add';
+    document.getElementById('cancel-edit').style.display = 'none';
+}
+
+async function saveProfile(e) {
+    e.preventDefault();
+    
+    const values = {};
+    document.querySelectorAll('#profile-fields input').forEach(input => {
+        values[input.dataset.field] = input.value;
+    });
+    
+    const profile = {
+        id: document.getElementById('profile-id').value || undefined,
+        name: document.getElementById('profile-name').value.trim(),
+        kind: document.getElementById('profile-kind').value,
+        values
+    };
+    
+    const response = await sendMessage('SAVE_PROFILE', { profile });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        if (response.locked) await refresh();
+        return;
+    }
+    
+    showNotification(`Profile ${response.profile.name} saved`);
+    resetForm();
+    await refresh();
+}
+
+async function deleteProfile(profile) {
+    if (!confirm(`Delete the profile "${profile.name}"?`)) return;
+    
+    const response = await sendMessage('DELETE_PROFILE', { id: profile.id });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    showNotification('Profile deleted');
+    await refresh();
+}
+
+function setupEventListeners() {
+    document.getElementById('profile-form').addEventListener('submit', saveProfile);
+    document.getElementById('cancel-edit').addEventListener('click', resetForm);
+    
+    document.getElementById('unlock-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const input = document.getElementById('passphrase');
+        const response = await sendMessage('UNLOCK_VAULT', { passphrase: input.value });
+        input.value = '';
+        
+        if (response.success) {
+            await refresh();
+        } else {
+            showNotification(response.error, 'error');
+        }
+    });
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', initialize);
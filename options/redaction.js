@@ -0,0 +1,161 @@
+/**
+ * EchoNate v2.0 - Audit Redaction Settings
+ */
+
+let detectors = [];
+let settings = { disabledDetectors: [], rules: [] };
+
+async function initialize() {
+    setupEventListeners();
+    
+    const response = await sendMessage('GET_REDACTION_SETTINGS');
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    detectors = response.detectors;
+    settings = response.settings;
+    render();
+}
+
+function render() {
+    renderDetectors();
+    renderRules();
+}
+
+function renderDetectors() {
+    const container = document.getElementById('detectors');
+    container.innerHTML = '';
+    
+    for (const detector of detectors) {
+        const row = document.createElement('label');
+        row.className = 'detector';
+        
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = detector.fixed || !settings.disabledDetectors.includes(detector.id);
+        toggle.disabled = detector.fixed;
+        toggle.addEventListener('change', () => {
+            const disabled = settings.disabledDetectors.filter(id => id !== detector.id);
+            if (!toggle.checked) disabled.push(detector.id);
+            saveSettings({ ...settings, disabledDetectors: disabled });
+        });
+        
+        const label = document.createElement('span');
+        label.textContent = detector.fixed ? `${detector.label} · always on` : detector.label;
+        
+        row.append(toggle, label);
+        container.appendChild(row);
+    }
+}
+
+function renderRules() {
+    const tbody = document.getElementById('rule-rows');
+    tbody.innerHTML = '';
+    
+    document.getElementById('no-rules').style.display = settings.rules.length ? 'none' : 'block';
+    
+    settings.rules.forEach((rule, index) => {
+        const row = document.createElement('tr');
+        
+        for (const value of [rule.name, rule.pattern, rule.flags || '', rule.replacement || '***REDACTED***']) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        
+        const toggle = document.createElement('button');
+        toggle.className = 'action-btn small secondary';
+        toggle.textContent = rule.enabled === false ? 'Enable' : 'Disable';
+        toggle.addEventListener('click', () => {
+            const rules = settings.rules.map((r, i) => i === index ? { ...r, enabled: r.enabled === false } : r);
+            saveSettings({ ...settings, rules });
+        });
+        
+        const remove = document.createElement('button');
+        remove.className = 'action-btn small danger';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => {
+            if (!confirm(`Delete the rule "${rule.name}"?`)) return;
+            saveSettings({ ...settings, rules: settings.rules.filter((r, i) => i !== index) });
+        });
+        
+        actions.append(toggle, remove);
+        row.appendChild(actions);
+        tbody.appendChild(row);
+    });
+}
+
+async function saveSettings(next) {
+    const response = await sendMessage('UPDATE_REDACTION_SETTINGS', { settings: next });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        render();
+        return false;
+    }
+    
+    settings = response.settings;
+    render();
+    showNotification('Redaction settings saved');
+    return true;
+}
+
+async function addRule(e) {
+    e.preventDefault();
+    
+    const rule = {
+        name: document.getElementById('rule-name').value.trim(),
+        pattern: document.getElementById('rule-pattern').value,
+        flags: document.getElementById('rule-flags').value.trim(),
+        replacement: document.getElementById('rule-replacement').value,
+        enabled: true
+    };
+    
+    if (await saveSettings({ ...settings, rules: [...settings.rules, rule] })) {
+        e.target.reset();
+    }
+}
+
+async function previewRedaction() {
+    const text = document.getElementById('sample').value;
+    
+    // JSON samples are redacted field by field, anything else as plain text
+    let sample = text;
+    try {
+        sample = JSON.parse(text);
+    } catch (error) {
+        // Plain text sample
+    }
+    
+    const response = await sendMessage('PREVIEW_REDACTION', { sample });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    const output = document.getElementById('preview-output');
+    output.style.display = 'block';
+    output.textContent = typeof response.redacted === 'string'
+        ? response.redacted
+        : JSON.stringify(response.redacted, null, 2);
+    
+    const findings = response.findings.map(f => `${f.path || '(text)'} → ${f.detector}`);
+    document.getElementById('preview-findings').textContent = findings.length
+        ? `${findings.length} redaction(s): ${findings.join(', ')}`
+        : 'Nothing would be redacted';
+}
+
+function setupEventListeners() {
+    document.getElementById('rule-form').addEventListener('submit', addRule);
+    document.getElementById('preview-btn').addEventListener('click', previewRedaction);
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', initialize);
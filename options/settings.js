@@ -0,0 +1,193 @@
+/**
+ * EchoNate v2.0 - Settings Page
+ * Rendered from the background config schema; every change goes through UPDATE_CONFIG
+ */
+
+let state = null;
+
+async function initialize() {
+    await refresh();
+}
+
+async function refresh() {
+    const response = await sendMessage('GET_CONFIG_SCHEMA');
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+        return;
+    }
+    
+    state = response;
+    renderSummary();
+    renderSettings();
+    
+    // Shown in full so it can be compared with the one passed to the offline verifier
+    const status = await sendMessage('GET_STATUS');
+    if (status.success) {
+        document.getElementById('signing-fingerprint').textContent = status.status.auditSigningKey.fingerprint;
+    }
+}
+
+function renderSummary() {
+    document.getElementById('current-mode').textContent = state.mode;
+    
+    const badge = document.getElementById('safety-level');
+    badge.textContent = state.safetyLevel;
+    badge.className = `badge ${state.safetyLevel}`;
+    
+    // Thresholds come from the safety policy file, not this page
+    const { LOW, MEDIUM } = state.thresholds;
+    document.getElementById('risk-score').textContent =
+        `(risk score ${state.riskScore} · LOW ≤ ${LOW}, MEDIUM ≤ ${MEDIUM}, HIGH above)`;
+    
+    // Enterprise policy from chrome.storage.managed
+    const { lockedKeys, maxMode } = state.managed;
+    const notes = [];
+    if (lockedKeys.length) notes.push(`${lockedKeys.length} setting(s) locked`);
+    if (maxMode !== 'research') notes.push(`modes above ${maxMode} disabled`);
+    
+    const managedNote = document.getElementById('managed-note');
+    managedNote.textContent = `🏢 Managed by your organization: ${notes.join(', ')}.`;
+    managedNote.style.display = notes.length ? 'block' : 'none';
+    
+    // Values that need an elevated mode are saved on the grant this page runs under
+    const { grant } = state;
+    document.getElementById('grant-note').textContent = grant
+        ? `⏱ ${formatValue(grant.mode)} grant for ${describeGrantScope(grant.scope)} until ${new Date(grant.expiresAt).toLocaleTimeString()}. ` +
+            'Values that need an elevated mode are saved on this grant and end with it.'
+        : 'Values that need an elevated mode can be chosen while a grant is active, and end with it. Grant a mode from the popup.';
+}
+
+function renderSettings() {
+    const container = document.getElementById('settings');
+    container.innerHTML = '';
+    
+    for (const [key, spec] of Object.entries(state.schema)) {
+        const locked = state.managed.lockedKeys.includes(key);
+        const card = document.createElement('div');
+        card.className = `card setting ${spec.readOnly || locked ? 'read-only' : ''}`;
+        
+        const info = document.createElement('div');
+        
+        const title = document.createElement('h2');
+        const smId = document.createElement('span');
+        smId.className = 'sm-id';
+        smId.textContent = spec.sm;
+        title.append(smId, spec.label);
+        
+        const description = document.createElement('div');
+        description.className = 'description';
+        description.textContent = spec.description;
+        
+        const impact = document.createElement('div');
+        impact.className = 'impact';
+        impact.textContent = describeImpact(spec);
+        
+        info.append(title, description, impact);
+        
+        if (locked) {
+            const note = document.createElement('div');
+            note.className = 'locked-note';
+            note.textContent = '🔒 Locked by policy';
+            info.appendChild(note);
+        } else if (state.grant && Object.hasOwn(state.grant.config || {}, key)) {
+            const note = document.createElement('div');
+            note.className = 'grant-value-note';
+            note.textContent = '⏱ Set for this grant only';
+            info.appendChild(note);
+        }
+        
+        card.append(info, createControl(key, spec, locked));
+        container.appendChild(card);
+    }
+}
+
+function describeImpact(spec) {
+    const parts = [];
+    const values = getChoices(spec);
+    
+    if (spec.risk) {
+        parts.push('Safety score: ' + values
+            .map(value => `${formatValue(value)} +${spec.risk[String(value)] || 0}`)
+            .join(' · '));
+    } else {
+        parts.push('Does not affect the safety score');
+    }
+    
+    if (spec.modes) {
+        const gated = values.filter(value => spec.modes[String(value)] !== 'standard');
+        if (gated.length) {
+            parts.push('Needs ' + gated
+                .map(value => `${spec.modes[String(value)]} mode for ${formatValue(value)}`)
+                .join(', '));
+        }
+    }
+    
+    return parts.join(' — ');
+}
+
+function createControl(key, spec, locked) {
+    const value = state.config[key];
+    const disabled = !!spec.readOnly || locked;
+    
+    if (spec.type === 'integer') {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = spec.min;
+        input.max = spec.max;
+        input.step = 1;
+        input.value = value;
+        input.disabled = disabled;
+        input.addEventListener('change', () => updateSetting(key, Number(input.value)));
+        return input;
+    }
+    
+    const select = document.createElement('select');
+    select.disabled = disabled;
+    
+    for (const choice of getChoices(spec)) {
+        const option = document.createElement('option');
+        const required = spec.modes?.[String(choice)] || 'standard';
+        const allowed = state.modes.indexOf(state.mode) >= state.modes.indexOf(required);
+        
+        option.value = String(choice);
+        option.textContent = allowed ? formatValue(choice) : `${formatValue(choice)} (${required} mode)`;
+        option.disabled = !allowed && choice !== value;
+        option.selected = choice === value;
+        select.appendChild(option);
+    }
+    
+    select.addEventListener('change', () => {
+        const choice = spec.type === 'boolean' ? select.value === 'true' : select.value;
+        updateSetting(key, choice);
+    });
+    
+    return select;
+}
+
+async function updateSetting(key, value) {
+    const response = await sendMessage('UPDATE_CONFIG', { configKey: key, value });
+    
+    if (!response.success) {
+        showNotification(response.error, 'error');
+    } else {
+        showNotification(`${state.schema[key].label} updated`);
+    }
+    
+    // Re-render either way so a rejected change snaps back to the stored value
+    await refresh();
+}
+
+function getChoices(spec) {
+    if (spec.type === 'boolean') return [true, false];
+    return spec.enum || [];
+}
+
+function formatValue(value) {
+    if (value === true) return 'Enabled';
+    if (value === false) return 'Disabled';
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', initialize);
@@ -2,7 +2,11 @@
  * EchoNate v2.0 - Dashboard UI Controller
  */
 
+const SAFETY_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
 let currentStatus = null;
+let approvalTimer = null;
+let grantTimer = null;
 
 // Initialize dashboard
 async function initialize() {
@@ -12,6 +16,10 @@ async function initialize() {
     if (response.success) {
         currentStatus = response.status;
         updateUI();
+        updateSafetyExplanation();
+        updateAuthorizationScope();
+        updateAuditIntegrity();
+        updateApprovals();
         
         // Check if terms accepted
         if (!currentStatus.termsAccepted) {
@@ -39,13 +47,284 @@ function updateUI() {
     safetyBadge.textContent = currentStatus.safetyLevel;
     safetyBadge.className = `safety-badge ${currentStatus.safetyLevel}`;
     
-    // Update mode buttons
+    // Warn before the audit store runs out of quota; retention archives events, only deleting archives frees space
+    const usage = currentStatus.auditStorageUsage;
+    const archives = currentStatus.auditArchives;
+    const storageWarning = document.getElementById('storage-warning');
+    if (usage?.warning) {
+        storageWarning.textContent = `⚠️ Audit storage is ${Math.round(usage.ratio * 100)}% full. ` + (archives?.segments
+            ? `${archives.events} older events are kept in ${archives.segments} archived segment(s). Export and delete them on the Audit Log page to free space.`
+            : 'Lowering audit retention moves older events into archived segments. Export and delete those on the Audit Log page to free space.');
+        storageWarning.style.display = 'block';
+    } else {
+        storageWarning.style.display = 'none';
+    }
+    
+    updateMigrationNotice();
+    
+    // Update vault state
+    const vault = currentStatus.vault;
+    const vaultBadge = document.getElementById('vault-state');
+    vaultBadge.textContent = !vault.initialized ? 'Not set up' : vault.locked ? 'Locked' : 'Unlocked';
+    vaultBadge.className = `vault-badge ${vault.locked ? 'locked' : 'unlocked'}`;
+    document.getElementById('vault-toggle').textContent = vault.locked ? '🔓 Unlock' : '🔒 Lock';
+    
+    // Update mode buttons; a managed policy may cap the highest mode
+    const modes = ['standard', 'advanced', 'research'];
+    const maxMode = currentStatus.managed?.maxMode || 'research';
     document.querySelectorAll('.mode-btn').forEach(btn => {
         btn.classList.remove('active');
         if (btn.dataset.mode === currentStatus.mode) {
             btn.classList.add('active');
         }
+        
+        btn.disabled = modes.indexOf(btn.dataset.mode) > modes.indexOf(maxMode);
+        btn.title = btn.disabled ? 'Disabled by your organization\'s policy' : '';
+    });
+    
+    updateModeGrants();
+}
+
+function updateModeGrants() {
+    // SM-002: Each elevated mode is a grant with a scope and an expiry
+    const container = document.getElementById('mode-grants');
+    container.innerHTML = '';
+    clearInterval(grantTimer);
+    
+    for (const grant of currentStatus.modeGrants || []) {
+        const item = document.createElement('div');
+        item.className = 'mode-grant';
+        
+        const label = document.createElement('span');
+        const mode = document.createElement('strong');
+        mode.textContent = grant.mode.charAt(0).toUpperCase() + grant.mode.slice(1);
+        
+        const countdown = document.createElement('span');
+        countdown.className = 'grant-countdown';
+        countdown.dataset.expiresAt = grant.expiresAt;
+        
+        label.append(mode, ` · ${describeGrantScope(grant.scope)} · `, countdown);
+        
+        const revoke = document.createElement('button');
+        revoke.textContent = 'Revoke';
+        revoke.addEventListener('click', () => revokeModeGrant(grant.id));
+        
+        item.append(label, revoke);
+        container.appendChild(item);
+    }
+    
+    if (currentStatus.modeGrants?.length) {
+        updateGrantCountdowns();
+        grantTimer = setInterval(updateGrantCountdowns, 1000);
+    }
+}
+
+function updateGrantCountdowns() {
+    let expired = false;
+    
+    document.querySelectorAll('.grant-countdown').forEach(countdown => {
+        const seconds = Math.max(0, Math.round((Number(countdown.dataset.expiresAt) - Date.now()) / 1000));
+        countdown.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left`;
+        if (seconds === 0) expired = true;
+    });
+    
+    // The background reverts on its alarm; pick up the new state
+    if (expired) refreshStatus();
+}
+
+async function refreshStatus() {
+    const response = await sendMessage('GET_STATUS');
+    if (!response.success) return;
+    
+    currentStatus = response.status;
+    updateUI();
+    updateAuthorizationScope();
+}
+
+async function revokeModeGrant(grantId) {
+    const response = await sendMessage('REVOKE_MODE_GRANT', { grantId });
+    
+    if (response.success) {
+        showNotification('Mode grant revoked');
+    } else {
+        showNotification(response.error, 'error');
+    }
+    
+    refreshStatus();
+}
+
+async function updateSafetyExplanation() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await sendMessage('EXPLAIN_SAFETY', { url: tab?.url || null });
+    const container = document.getElementById('safety-explanation');
+    
+    if (!response.success) return;
+    
+    const { breakdown, siteRule } = response;
+    const { LOW, MEDIUM } = breakdown.thresholds;
+    const contributing = breakdown.factors.filter(factor => factor.weight > 0);
+    
+    container.innerHTML = '';
+    
+    const summary = document.createElement('div');
+    summary.textContent = `Risk score ${breakdown.score} (LOW ≤ ${LOW}, MEDIUM ≤ ${MEDIUM}, HIGH above)`;
+    container.appendChild(summary);
+    
+    if (contributing.length) {
+        const list = document.createElement('ul');
+        for (const factor of contributing) {
+            const item = document.createElement('li');
+            item.textContent = `${factor.sm} ${factor.label}: ${factor.value} (+${factor.weight})`;
+            list.appendChild(item);
+        }
+        container.appendChild(list);
+    } else {
+        const note = document.createElement('div');
+        note.textContent = 'Every safety mechanism is at its safest setting.';
+        container.appendChild(note);
+    }
+    
+    // This site may cap the level EchoNate acts at
+    if (siteRule) {
+        const rule = document.createElement('div');
+        const blocked = SAFETY_LEVELS.indexOf(breakdown.level) > SAFETY_LEVELS.indexOf(siteRule.maxLevel);
+        rule.className = `site-rule ${blocked ? 'blocked' : ''}`;
+        rule.textContent = blocked
+            ? `⛔ This site allows up to ${siteRule.maxLevel}; ${(siteRule.actions || ['all actions']).join(', ')} blocked here.`
+            : `This site allows up to ${siteRule.maxLevel}.`;
+        container.appendChild(rule);
+    }
+}
+
+async function updateAuthorizationScope() {
+    // Whether advanced features may run on the active tab
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const indicator = document.getElementById('auth-scope');
+    
+    if (!tab?.url || !/^https?:/.test(tab.url)) {
+        indicator.textContent = '—';
+        indicator.className = 'status-value auth-scope';
+        return;
+    }
+    
+    const response = await sendMessage('CHECK_AUTHORIZATION', { url: tab.url, tabId: tab.id });
+    if (!response.success) return;
+    
+    const [entry] = response.authorizations;
+    const elevated = response.mode !== 'standard';
+    
+    indicator.textContent = entry
+        ? `✓ In scope${entry.reference ? ` (${entry.reference})` : ''}`
+        : '✕ Not in scope';
+    indicator.title = entry
+        ? `${entry.pattern} · until ${new Date(entry.validUntil).toLocaleDateString()}`
+        : 'Advanced and Research modes will not fill forms or sync sessions here';
+    indicator.className = `status-value auth-scope ${entry ? 'in-scope' : 'out-of-scope'} ${elevated ? 'elevated' : ''}`;
+}
+
+async function updateAuditIntegrity() {
+    const response = await sendMessage('VERIFY_AUDIT');
+    const indicator = document.getElementById('audit-integrity');
+    
+    if (!response.success) return;
+    
+    if (response.valid) {
+        indicator.textContent = '✓ Chain intact';
+        indicator.className = 'audit-integrity valid';
+        indicator.title = `${response.checked} events verified`;
+    } else {
+        indicator.textContent = `⚠ Broken at #${response.brokenAt.index + 1}`;
+        indicator.className = 'audit-integrity broken';
+        indicator.title = `${response.brokenAt.id}: ${response.brokenAt.reason}`;
+    }
+}
+
+async function updateApprovals() {
+    // SM-001: Requests from any tab are approved here, out of the page's reach
+    const response = await sendMessage('LIST_APPROVALS');
+    const card = document.getElementById('approvals');
+    const list = document.getElementById('approval-list');
+    
+    clearInterval(approvalTimer);
+    
+    if (!response.success || response.approvals.length === 0) {
+        card.style.display = 'none';
+        return;
+    }
+    
+    card.style.display = 'block';
+    list.innerHTML = '';
+    
+    for (const approval of response.approvals) {
+        const item = document.createElement('div');
+        item.className = 'approval';
+        
+        const prompt = document.createElement('div');
+        prompt.className = 'approval-prompt';
+        prompt.textContent = approval.prompt;
+        
+        const meta = document.createElement('div');
+        meta.className = 'approval-meta';
+        meta.dataset.expiresAt = approval.expiresAt;
+        meta.dataset.origin = [approval.origin.title, approval.origin.url && new URL(approval.origin.url).hostname]
+            .filter(Boolean).join(' · ') || 'Unknown tab';
+        
+        // Problems found on the page before it asked, e.g. by the pre-submit check
+        const issues = document.createElement('ul');
+        issues.className = 'approval-issues';
+        for (const issue of approval.issues || []) {
+            const entry = document.createElement('li');
+            entry.textContent = `${issue.field} ${issue.message}`;
+            issues.appendChild(entry);
+        }
+        
+        const details = document.createElement('pre');
+        details.textContent = JSON.stringify(approval.details, null, 2);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'approval-buttons';
+        
+        const approve = document.createElement('button');
+        approve.className = 'action-btn';
+        approve.textContent = '✓ Approve';
+        approve.addEventListener('click', () => resolveApproval(approval.id, true));
+        
+        const deny = document.createElement('button');
+        deny.className = 'action-btn deny';
+        deny.textContent = '✕ Deny';
+        deny.addEventListener('click', () => resolveApproval(approval.id, false));
+        
+        buttons.append(approve, deny);
+        item.append(prompt, meta, ...(issues.childElementCount ? [issues] : []), details, buttons);
+        list.appendChild(item);
+    }
+    
+    updateApprovalCountdowns();
+    approvalTimer = setInterval(updateApprovalCountdowns, 1000);
+}
+
+function updateApprovalCountdowns() {
+    let expired = false;
+    
+    document.querySelectorAll('.approval-meta').forEach(meta => {
+        const seconds = Math.max(0, Math.round((Number(meta.dataset.expiresAt) - Date.now()) / 1000));
+        meta.textContent = `${meta.dataset.origin} — expires in ${seconds}s`;
+        if (seconds === 0) expired = true;
     });
+    
+    if (expired) updateApprovals();
+}
+
+async function resolveApproval(approvalId, approved) {
+    const response = await sendMessage('RESOLVE_APPROVAL', { approvalId, approved });
+    
+    if (response.success) {
+        showNotification(approved ? 'Request approved' : 'Request denied');
+    } else {
+        showNotification(response.error, 'error');
+    }
+    
+    updateApprovals();
 }
 
 function setupEventListeners() {
@@ -54,29 +333,46 @@ function setupEventListeners() {
         btn.addEventListener('click', async () => {
             const newMode = btn.dataset.mode;
             
-            // Confirm mode change for advanced/research
+            // Confirm mode change for advanced/research, and choose how long and where it applies
+            let grant = {};
             if (newMode !== 'standard') {
-                const confirmed = await confirmModeChange(newMode);
-                if (!confirmed) return;
+                grant = await confirmModeChange(newMode);
+                if (!grant) return;
             }
             
             // Change mode
             const response = await sendMessage('CHANGE_MODE', {
                 newMode: newMode,
-                justification: `User requested ${newMode} mode`
+                justification: `User requested ${newMode} mode`,
+                ...grant
             });
             
             if (response.success) {
-                currentStatus.mode = response.mode;
-                currentStatus.safetyLevel = response.safetyLevel;
-                updateUI();
-                showNotification(`Mode changed to ${newMode}`);
+                await refreshStatus();
+                showNotification(newMode === 'standard'
+                    ? 'Elevated modes revoked'
+                    : `${newMode} mode granted for ${grant.durationMinutes} minutes`);
+            } else {
+                showNotification(response.error, 'error');
             }
         });
     });
+    
+    // Inline handlers are blocked by the extension page CSP
+    document.getElementById('vault-toggle').addEventListener('click', toggleVault);
+    document.getElementById('open-credentials').addEventListener('click', openCredentials);
+    document.getElementById('open-audit-log').addEventListener('click', openAuditLog);
+    document.getElementById('open-authorizations').addEventListener('click', openAuthorizations);
+    document.getElementById('auth-scope').addEventListener('click', openAuthorizations);
+    document.getElementById('open-profiles').addEventListener('click', openProfiles);
 }
 
 async function confirmModeChange(mode) {
+    // Elevation is granted to this tab or this site only, for a limited time
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const origin = tab?.url && /^https?:/.test(tab.url) ? new URL(tab.url).origin : null;
+    const fieldStyle = 'width: 100%; padding: 6px; margin-top: 4px; border: 1px solid #ddd; border-radius: 4px;';
+    
     const messages = {
         advanced: `
             <strong>Advanced Mode</strong><br><br>
@@ -127,6 +423,22 @@ async function confirmModeChange(mode) {
             <div style="margin-bottom: 20px; line-height: 1.5;">
                 ${messages[mode]}
             </div>
+            <label style="display: block; margin-bottom: 10px; font-size: 13px;">
+                Applies to
+                <select id="grant-scope" style="${fieldStyle}">
+                    <option value="tab">This tab only</option>
+                    <option value="origin" ${origin ? '' : 'disabled'}>Every tab on ${origin ? new URL(origin).host : 'this site'}</option>
+                </select>
+            </label>
+            <label style="display: block; margin-bottom: 20px; font-size: 13px;">
+                Reverts to Standard after
+                <select id="grant-duration" style="${fieldStyle}">
+                    <option value="15">15 minutes</option>
+                    <option value="30" selected>30 minutes</option>
+                    <option value="60">1 hour</option>
+                    <option value="120">2 hours</option>
+                </select>
+            </label>
             <div style="display: flex; gap: 12px;">
                 <button id="cancel-btn" style="flex: 1; padding: 10px; border: 1px solid #ddd; border-radius: 6px; background: white; cursor: pointer;">
                     Cancel
@@ -141,8 +453,15 @@ async function confirmModeChange(mode) {
         document.body.appendChild(overlay);
         
         dialog.querySelector('#confirm-btn').onclick = () => {
+            const scopeType = dialog.querySelector('#grant-scope').value;
+            const durationMinutes = Number(dialog.querySelector('#grant-duration').value);
             overlay.remove();
-            resolve(true);
+            // Accepting the dialog is the acknowledgement of this mode's warning
+            resolve({
+                acknowledged: true,
+                durationMinutes,
+                scope: scopeType === 'tab' ? { type: 'tab', tabId: tab?.id } : { type: 'origin', origin }
+            });
         };
         
         dialog.querySelector('#cancel-btn').onclick = () => {
@@ -152,7 +471,40 @@ async function confirmModeChange(mode) {
     });
 }
 
+function updateMigrationNotice() {
+    // Shown above the terms notice: a failed upgrade matters before anything else
+    const { migrationError, legacyCredentials } = currentStatus.storage;
+    const notice = document.getElementById('migration-notice');
+    
+    if (migrationError) {
+        document.getElementById('migration-title').textContent = '❌ Data Upgrade Failed';
+        document.getElementById('migration-message').textContent =
+            `Upgrading stored data to schema ${migrationError.version} failed (${migrationError.message}). ` +
+            'Your data was restored from the backup taken before the upgrade; it will be retried on next start.';
+    } else if (legacyCredentials) {
+        document.getElementById('migration-title').textContent = '🔐 Credentials Awaiting Encryption';
+        document.getElementById('migration-message').textContent =
+            `${legacyCredentials} credential(s) saved by an earlier version are not yet encrypted. ` +
+            'Unlock the vault to encrypt them.';
+    }
+    
+    notice.style.display = migrationError || legacyCredentials ? 'block' : 'none';
+}
+
 function showTermsNotice() {
+    // SM-013: Say why acceptance is needed when an earlier one no longer counts
+    const { current, acceptance, reason } = currentStatus.terms;
+    const messages = {
+        changed: `The Terms of Service changed from version ${acceptance?.version} to ${current.version}. ` +
+            'Review and accept the new version to keep using EchoNate.',
+        legacy: `EchoNate now records which version of the terms you accepted. ` +
+            `Please review and accept version ${current.version}.`
+    };
+    
+    if (messages[reason]) {
+        document.getElementById('terms-message').textContent = messages[reason];
+    }
+    
     document.getElementById('terms-notice').style.display = 'block';
     document.getElementById('main-content').style.display = 'none';
 }
@@ -172,11 +524,18 @@ async function showTerms() {
     setTimeout(async () => {
         const accepted = await confirmTerms();
         if (accepted) {
-            const response = await sendMessage('ACCEPT_TERMS', { accepted: true });
+            // Names the exact version shown, so a change in between is caught
+            const response = await sendMessage('ACCEPT_TERMS', {
+                accepted: true,
+                termsHash: currentStatus.terms.current.hash
+            });
             if (response.success) {
                 currentStatus.termsAccepted = true;
+                currentStatus.terms.acceptance = response.acceptance;
                 showMainContent();
                 showNotification('Terms accepted. Welcome to EchoNate!');
+            } else {
+                showNotification(response.error, 'error');
             }
         }
     }, 1000);
@@ -209,7 +568,8 @@ async function confirmTerms() {
         
         dialog.innerHTML = `
             <div style="margin-bottom: 20px;">
-                <strong style="font-size: 16px;">Accept Terms of Service?</strong><br><br>
+                <strong style="font-size: 16px;">Accept Terms of Service?</strong><br>
+                <span style="font-size: 12px; color: #666;">Version ${currentStatus.terms.current.version}</span><br><br>
                 By accepting, you agree to:
                 <ul style="text-align: left; margin: 10px 0; font-size: 13px;">
                     <li>Use EchoNate only for authorized purposes</li>
@@ -243,64 +603,256 @@ async function confirmTerms() {
     });
 }
 
+async function toggleVault() {
+    if (!currentStatus.vault.locked) {
+        const response = await sendMessage('LOCK_VAULT');
+        if (response.success) {
+            currentStatus.vault.locked = true;
+            updateUI();
+            showNotification('Vault locked');
+        }
+        return;
+    }
+    
+    const passphrase = await promptPassphrase(!currentStatus.vault.initialized);
+    if (!passphrase) return;
+    
+    const response = await sendMessage('UNLOCK_VAULT', { passphrase });
+    
+    if (response.success) {
+        currentStatus.vault = { initialized: true, locked: false };
+        currentStatus.storage.legacyCredentials = 0;
+        updateUI();
+        showNotification(response.upgradedCredentials.length
+            ? `${response.message}; encrypted ${response.upgradedCredentials.length} older credential(s)`
+            : response.message);
+    } else {
+        showNotification(response.error, 'error');
+    }
+}
+
+async function promptPassphrase(isNewVault) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0,0,0,0.7);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 1000;
+        `;
+        
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `
+            background: white;
+            padding: 24px;
+            border-radius: 8px;
+            width: 320px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+        `;
+        
+        const inputStyle = 'width: 100%; padding: 8px; margin-top: 8px; border: 1px solid #ddd; border-radius: 6px;';
+        
+        dialog.innerHTML = `
+            <div style="margin-bottom: 20px; font-size: 13px;">
+                <strong style="font-size: 16px;">${isNewVault ? 'Create Master Passphrase' : 'Unlock Credential Vault'}</strong><br><br>
+                ${isNewVault
+                    ? 'Your passphrase is never stored. If you forget it, stored credentials cannot be recovered.'
+                    : 'Enter your master passphrase.'}
+                <input type="password" id="passphrase-input" placeholder="Master passphrase" style="${inputStyle}">
+                ${isNewVault ? `<input type="password" id="passphrase-confirm" placeholder="Confirm passphrase" style="${inputStyle}">` : ''}
+                <div id="passphrase-error" style="color: #F44336; margin-top: 8px;"></div>
+            </div>
+            <div style="display: flex; gap: 12px;">
+                <button id="cancel-btn" style="flex: 1; padding: 10px; border: 1px solid #ddd; border-radius: 6px; background: white; cursor: pointer;">
+                    Cancel
+                </button>
+                <button id="unlock-btn" style="flex: 1; padding: 10px; background: #667eea; color: white; border: none; border-radius: 6px; cursor: pointer;">
+                    ${isNewVault ? 'Create' : 'Unlock'}
+                </button>
+            </div>
+        `;
+        
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        
+        const input = dialog.querySelector('#passphrase-input');
+        input.focus();
+        
+        dialog.querySelector('#unlock-btn').onclick = () => {
+            const confirmInput = dialog.querySelector('#passphrase-confirm');
+            
+            if (confirmInput && confirmInput.value !== input.value) {
+                dialog.querySelector('#passphrase-error').textContent = 'Passphrases do not match';
+                return;
+            }
+            
+            overlay.remove();
+            resolve(input.value);
+        };
+        
+        dialog.querySelector('#cancel-btn').onclick = () => {
+            overlay.remove();
+            resolve(null);
+        };
+    });
+}
+
 function openSettings() {
     chrome.runtime.openOptionsPage();
 }
 
+function openCredentials() {
+    chrome.tabs.create({
+        url: chrome.runtime.getURL('options/credentials.html')
+    });
+}
+
+function openAuditLog() {
+    chrome.tabs.create({
+        url: chrome.runtime.getURL('options/audit-log.html')
+    });
+}
+
+function openAuthorizations() {
+    chrome.tabs.create({
+        url: chrome.runtime.getURL('options/authorizations.html')
+    });
+}
+
+function openProfiles() {
+    chrome.tabs.create({
+        url: chrome.runtime.getURL('options/profiles.html')
+    });
+}
+
 async function exportAudit() {
-    const response = await sendMessage('EXPORT_AUDIT');
+    const options = await promptExportOptions();
+    if (!options) return;
+    
+    const response = await sendMessage('EXPORT_AUDIT', options);
     
     if (response.success) {
         // Create download
-        const blob = new Blob([JSON.stringify(response.auditLog, null, 2)], {
-            type: 'application/json'
+        const blob = new Blob([response.content], {
+            type: response.mimeType
         });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `echonate-audit-${Date.now()}.json`;
+        a.download = `echonate-audit-${Date.now()}.${response.extension}`;
         a.click();
         
-        showNotification('Audit log exported');
+        showNotification(response.signed
+            ? `Signed audit log exported (${response.eventCount} events, key ${response.keyFingerprint.slice(0, 12)}…)`
+            : `Audit log exported (${response.eventCount} events)`);
     } else {
-        showNotification('Audit logging is disabled', 'error');
+        showNotification(response.error || 'Audit logging is disabled', 'error');
     }
 }
 
-function viewTerms() {
-    chrome.tabs.create({
-        url: chrome.runtime.getURL('TERMS_OF_SERVICE.md')
+async function promptExportOptions() {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0,0,0,0.7);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 1000;
+        `;
+        
+        const dialog = document.createElement('form');
+        dialog.style.cssText = `
+            background: white;
+            padding: 24px;
+            border-radius: 8px;
+            width: 340px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+            font-size: 13px;
+        `;
+        
+        const fieldStyle = 'display: block; width: 100%; padding: 6px; margin: 4px 0 10px; border: 1px solid #ddd; border-radius: 6px;';
+        
+        dialog.innerHTML = `
+            <strong style="display: block; font-size: 16px; margin-bottom: 12px;">Export Audit Log</strong>
+            <label>Format
+                <select name="format" style="${fieldStyle}">
+                    <option value="json">JSON (signed, verifiable)</option>
+                    <option value="ndjson">NDJSON (log pipelines)</option>
+                    <option value="csv">CSV (spreadsheets)</option>
+                    <option value="html">HTML report</option>
+                </select>
+            </label>
+            <div style="display: flex; gap: 8px;">
+                <label style="flex: 1;">From <input type="date" name="from" style="${fieldStyle}"></label>
+                <label style="flex: 1;">To <input type="date" name="to" style="${fieldStyle}"></label>
+            </div>
+            <label>Actions (comma separated)
+                <input type="text" name="actions" placeholder="e.g. mode_granted, captcha_request" style="${fieldStyle}">
+            </label>
+            <label>Domain
+                <input type="text" name="domain" placeholder="example.com" style="${fieldStyle}">
+            </label>
+            <label>Mode
+                <select name="mode" style="${fieldStyle}">
+                    <option value="">Any</option>
+                    <option value="standard">Standard</option>
+                    <option value="advanced">Advanced</option>
+                    <option value="research">Research</option>
+                </select>
+            </label>
+            <div style="display: flex; gap: 12px;">
+                <button type="button" id="cancel-btn" style="flex: 1; padding: 10px; border: 1px solid #ddd; border-radius: 6px; background: white; cursor: pointer;">
+                    Cancel
+                </button>
+                <button type="submit" style="flex: 1; padding: 10px; background: #667eea; color: white; border: none; border-radius: 6px; cursor: pointer;">
+                    Export
+                </button>
+            </div>
+        `;
+        
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        
+        dialog.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const values = Object.fromEntries(new FormData(dialog));
+            overlay.remove();
+            
+            // Date inputs are local days; widen "to" to the end of that day
+            resolve({
+                format: values.format,
+                filters: {
+                    from: values.from ? new Date(`${values.from}T00:00:00`).toISOString() : null,
+                    to: values.to ? new Date(`${values.to}T23:59:59.999`).toISOString() : null,
+                    actions: values.actions.split(',').map(a => a.trim()).filter(Boolean),
+                    domain: values.domain,
+                    mode: values.mode
+                }
+            });
+        });
+        
+        dialog.querySelector('#cancel-btn').onclick = () => {
+            overlay.remove();
+            resolve(null);
+        };
     });
 }
 
-function showNotification(message, type = 'success') {
-    const notification = document.createElement('div');
-    notification.style.cssText = `
-        position: fixed;
-        top: 20px;
-        left: 50%;
-        transform: translateX(-50%);
-        background: ${type === 'success' ? '#4CAF50' : '#F44336'};
-        color: white;
-        padding: 12px 24px;
-        border-radius: 6px;
-        box-shadow: 0 4px 12px rgba(0,0,0,0.2);
-        z-index: 2000;
-        font-size: 14px;
-    `;
-    notification.textContent = message;
-    
-    document.body.appendChild(notification);
-    
-    setTimeout(() => notification.remove(), 3000);
-}
-
-async function sendMessage(action, data = {}) {
-    return new Promise((resolve) => {
-        chrome.runtime.sendMessage(
-            { action, ...data },
-            (response) => resolve(response)
-        );
+function viewTerms() {
+    chrome.tabs.create({
+        url: chrome.runtime.getURL('TERMS_OF_SERVICE.md')
     });
 }
 
@@ -0,0 +1,113 @@
+/**
+ * EchoNate v2.0 - Extension Page Helpers
+ * Notifications, dialogs, messaging and labels shared by the popup and the options pages.
+ * Loaded as a classic script after shared/protocol.js and before the page's own script.
+ */
+
+function showNotification(message, type = 'success') {
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: ${type === 'success' ? '#4CAF50' : '#F44336'};
+        color: white;
+        padding: 12px 24px;
+        border-radius: 6px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+        z-index: 2000;
+        font-size: 14px;
+    `;
+    notification.textContent = message;
+    
+    document.body.appendChild(notification);
+    
+    setTimeout(() => notification.remove(), 3000);
+}
+
+/**
+ * Asks for several values at once. `fields` is [{ name, label, type, value }]; resolves
+ * { name: value } on save, or null on cancel.
+ */
+async function promptFields(title, fields) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0,0,0,0.7);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 1000;
+        `;
+        
+        const dialog = document.createElement('form');
+        dialog.style.cssText = `
+            background: white;
+            padding: 24px;
+            border-radius: 8px;
+            width: 380px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+        `;
+        
+        const heading = document.createElement('strong');
+        heading.style.cssText = 'display: block; font-size: 16px; margin-bottom: 16px;';
+        heading.textContent = title;
+        dialog.appendChild(heading);
+        
+        for (const field of fields) {
+            const label = document.createElement('label');
+            label.style.cssText = 'display: block; font-size: 13px; margin-bottom: 12px;';
+            label.textContent = field.label;
+            
+            const input = document.createElement('input');
+            input.name = field.name;
+            input.type = field.type;
+            input.value = field.value || '';
+            input.style.cssText = 'display: block; width: 100%; margin-top: 4px;';
+            
+            label.appendChild(input);
+            dialog.appendChild(label);
+        }
+        
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 12px; margin-top: 8px;';
+        buttons.innerHTML = `
+            <button type="button" class="action-btn secondary" style="flex: 1;">Cancel</button>
+            <button type="submit" class="action-btn" style="flex: 1;">Save</button>
+        `;
+        dialog.appendChild(buttons);
+        
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        dialog.querySelector('input').focus();
+        
+        dialog.addEventListener('submit', (e) => {
+            e.preventDefault();
+            overlay.remove();
+            resolve(Object.fromEntries(new FormData(dialog)));
+        });
+        
+        buttons.querySelector('[type="button"]').onclick = () => {
+            overlay.remove();
+            resolve(null);
+        };
+    });
+}
+
+function describeGrantScope(scope) {
+    if (scope.type === 'origin') return new URL(scope.origin).host;
+    
+    const host = scope.url ? new URL(scope.url).hostname : '';
+    return host ? `tab on ${host}` : `tab ${scope.tabId}`;
+}
+
+async function sendMessage(action, data = {}) {
+    // Versioned request; failures always carry `error` and `code`
+    return EchoNateProtocol.send(action, data);
+}
@@ -0,0 +1,299 @@
+/**
+ * EchoNate v2.0 - Message Protocol
+ * Shared by the background worker, content scripts and extension pages.
+ * Loaded as a classic script everywhere, so it only defines globalThis.EchoNateProtocol.
+ */
+
+globalThis.EchoNateProtocol = (() => {
+    // Bump whenever a request or response shape changes incompatibly
+    const VERSION = 4;
+    
+    const ERROR_CODES = {
+        INVALID_REQUEST: 'INVALID_REQUEST',
+        VERSION_MISMATCH: 'VERSION_MISMATCH',
+        TERMS_REQUIRED: 'TERMS_REQUIRED',
+        MODE_REQUIRED: 'MODE_REQUIRED',
+        SENDER_NOT_ALLOWED: 'SENDER_NOT_ALLOWED',
+        RATE_LIMITED: 'RATE_LIMITED',
+        SITE_POLICY_BLOCKED: 'SITE_POLICY_BLOCKED',
+        NOT_AUTHORIZED: 'NOT_AUTHORIZED',
+        POLICY_LOCKED: 'POLICY_LOCKED',
+        ACKNOWLEDGEMENT_REQUIRED: 'ACKNOWLEDGEMENT_REQUIRED',
+        INVALID_CONFIG: 'INVALID_CONFIG',
+        VAULT_LOCKED: 'VAULT_LOCKED',
+        NOT_READY: 'NOT_READY',
+        NO_RESPONSE: 'NO_RESPONSE',
+        HANDLER_ERROR: 'HANDLER_ERROR'
+    };
+    
+    // Field types: string, boolean, number, integer, object, array, any. A trailing ? allows null/undefined.
+    const ACTIONS = {
+        GET_STATUS: {
+            request: {},
+            response: { status: 'object' }
+        },
+        EXPLAIN_SAFETY: {
+            request: { url: 'string?' },
+            response: { breakdown: 'object', siteRule: 'object?' }
+        },
+        ACCEPT_TERMS: {
+            request: { accepted: 'boolean', termsHash: 'string?' },
+            response: { message: 'string', acceptance: 'object' }
+        },
+        CHANGE_MODE: {
+            request: { newMode: 'string', justification: 'string?', durationMinutes: 'integer?', scope: 'object?', acknowledged: 'boolean?' },
+            response: { mode: 'string', safetyLevel: 'string', grant: 'object?' }
+        },
+        REVOKE_MODE_GRANT: {
+            request: { grantId: 'string' },
+            response: { mode: 'string', modeGrants: 'array' }
+        },
+        UPDATE_CONFIG: {
+            request: { configKey: 'string', value: 'any' },
+            response: { config: 'object', riskScore: 'number', safetyLevel: 'string' }
+        },
+        GET_CONFIG_SCHEMA: {
+            request: {},
+            response: { schema: 'object', config: 'object', modes: 'array', mode: 'string', grant: 'object?', riskScore: 'number', safetyLevel: 'string', thresholds: 'object', managed: 'object' }
+        },
+        HANDLE_CHALLENGE: {
+            request: { url: 'string', challengeType: 'string' },
+            response: { action: 'string', message: 'string' }
+        },
+        SOLVE_CAPTCHA: {
+            request: { type: 'string', provider: 'string?', image: 'string?' },
+            response: { action: 'string?', message: 'string?', correlationId: 'string?', approvalId: 'string?' }
+        },
+        SYNC_SESSION: {
+            request: { sourceTabId: 'integer', targetTabId: 'integer' },
+            response: { syncedCookies: 'integer', auditId: 'string' }
+        },
+        FILL_FORM: {
+            request: { formData: 'object', autoSubmit: 'boolean?', issues: 'array?', failed: 'integer?' },
+            response: { action: 'string', message: 'string', correlationId: 'string', approvalId: 'string?' }
+        },
+        REVERT_FORM_FILL: {
+            request: { fields: 'array', skipped: 'integer?', failed: 'array?', correlationId: 'string?' },
+            response: {}
+        },
+        MANAGE_CREDENTIALS: {
+            request: {
+                operation: ['store', 'retrieve', 'list', 'update', 'delete', 'rename-site', 'approve-subdomain', 'revoke-subdomain', 'check-origin'],
+                site: 'string?',
+                username: 'string?',
+                password: 'string?',
+                newSite: 'string?',
+                host: 'string?',
+                query: 'string?'
+            },
+            response: {}
+        },
+        UNLOCK_VAULT: {
+            request: { passphrase: 'string' },
+            response: { created: 'boolean', message: 'string' }
+        },
+        LOCK_VAULT: {
+            request: {},
+            response: { message: 'string' }
+        },
+        EXPORT_AUDIT: {
+            request: { format: 'string?', filters: 'object?' },
+            response: { format: 'string', content: 'string', mimeType: 'string', extension: 'string', eventCount: 'integer', signed: 'boolean', keyFingerprint: 'string', exportedAt: 'number' }
+        },
+        VERIFY_AUDIT: {
+            request: {},
+            response: { valid: 'boolean', checked: 'integer', total: 'integer', brokenAt: 'object?' }
+        },
+        QUERY_AUDIT: {
+            request: { query: 'object?' },
+            response: { entries: 'array', total: 'integer', totalEvents: 'integer', page: 'integer', pageSize: 'integer', facets: 'object' }
+        },
+        LIST_AUDIT_ARCHIVES: {
+            request: {},
+            response: { archives: 'array' }
+        },
+        EXPORT_AUDIT_ARCHIVE: {
+            request: { segmentId: 'string' },
+            response: { content: 'string', mimeType: 'string', extension: 'string', eventCount: 'integer', keyFingerprint: 'string' }
+        },
+        DELETE_AUDIT_ARCHIVE: {
+            request: { segmentId: 'string' },
+            response: { archive: 'object' }
+        },
+        LIST_APPROVALS: {
+            request: {},
+            response: { approvals: 'array' }
+        },
+        RESOLVE_APPROVAL: {
+            request: { approvalId: 'string', approved: 'boolean' },
+            response: { approval: 'object' }
+        },
+        AWAIT_APPROVAL: {
+            request: { approvalId: 'string' },
+            response: { approvalId: 'string', status: 'string', approved: 'boolean' }
+        },
+        GET_REDACTION_SETTINGS: {
+            request: {},
+            response: { detectors: 'array', settings: 'object' }
+        },
+        UPDATE_REDACTION_SETTINGS: {
+            request: { settings: 'object' },
+            response: { settings: 'object' }
+        },
+        PREVIEW_REDACTION: {
+            request: { sample: 'any' },
+            response: { redacted: 'any', findings: 'array' }
+        },
+        LIST_AUTHORIZATIONS: {
+            request: {},
+            response: { authorizations: 'array', features: 'object' }
+        },
+        SAVE_AUTHORIZATION: {
+            request: { authorization: 'object' },
+            response: { authorization: 'object' }
+        },
+        DELETE_AUTHORIZATION: {
+            request: { id: 'string' },
+            response: { id: 'string' }
+        },
+        CHECK_AUTHORIZATION: {
+            request: { url: 'string', tabId: 'integer?' },
+            response: { inScope: 'boolean', mode: 'string', authorizations: 'array' }
+        },
+        LIST_PROFILES: {
+            request: {},
+            response: { profiles: 'array', kinds: 'object', fields: 'object', locked: 'boolean' }
+        },
+        GET_PROFILE: {
+            request: { id: 'string' },
+            response: { profile: 'object' }
+        },
+        SAVE_PROFILE: {
+            request: { profile: 'object' },
+            response: { profile: 'object' }
+        },
+        DELETE_PROFILE: {
+            request: { id: 'string' },
+            response: { id: 'string' }
+        },
+        GET_PROFILES_FOR_FORM: {
+            request: { formType: 'string' },
+            response: { profiles: 'array', locked: 'boolean' }
+        },
+        RETRIEVE_PROFILE: {
+            request: { profileId: 'string', formType: 'string' },
+            response: { profile: 'object' }
+        }
+    };
+    
+    function createRequest(action, data = {}) {
+        return { ...data, action, protocolVersion: VERSION };
+    }
+    
+    /**
+     * Returns a list of { field, message } problems with a request; empty when valid.
+     * Version is checked separately so a stale sender gets VERSION_MISMATCH, not a schema error.
+     */
+    function validateRequest(message) {
+        const spec = ACTIONS[message?.action];
+        if (!spec) return [{ field: 'action', message: `Unknown action "${message?.action}"` }];
+        return validateFields(spec.request, message);
+    }
+    
+    function validateResponse(action, response) {
+        const spec = ACTIONS[action];
+        if (!spec || !response?.success) return [];
+        return validateFields(spec.response, response);
+    }
+    
+    function isCompatible(message) {
+        return message?.protocolVersion === VERSION;
+    }
+    
+    function errorResponse(code, error, details = {}) {
+        return { success: false, error, code, ...details, protocolVersion: VERSION };
+    }
+    
+    /**
+     * Sends a request and resolves with a response that always has `success`,
+     * plus `error` and `code` on failure. Used by content scripts and pages.
+     */
+    function send(action, data = {}) {
+        const request = createRequest(action, data);
+        
+        return new Promise((resolve) => {
+            try {
+                chrome.runtime.sendMessage(request, (response) => {
+                    if (chrome.runtime.lastError || !response) {
+                        resolve(errorResponse(ERROR_CODES.NO_RESPONSE,
+                            chrome.runtime.lastError?.message || 'No response from EchoNate'));
+                        return;
+                    }
+                    
+                    if (!isCompatible(response)) {
+                        resolve(errorResponse(ERROR_CODES.VERSION_MISMATCH,
+                            'EchoNate was updated. Reload this page to continue.', { expected: response.protocolVersion }));
+                        return;
+                    }
+                    
+                    resolve(response);
+                });
+            } catch (error) {
+                // A script left behind by an extension update throws "Extension context invalidated"
+                resolve(errorResponse(ERROR_CODES.VERSION_MISMATCH,
+                    'EchoNate was updated. Reload this page to continue.', { reason: error.message }));
+            }
+        });
+    }
+    
+    function validateFields(fields, object) {
+        const problems = [];
+        
+        for (const [field, type] of Object.entries(fields)) {
+            const value = object[field];
+            
+            if (Array.isArray(type)) {
+                if (!type.includes(value)) {
+                    problems.push({ field, message: `"${field}" must be one of: ${type.join(', ')}` });
+                }
+                continue;
+            }
+            
+            const optional = type.endsWith('?');
+            const base = optional ? type.slice(0, -1) : type;
+            
+            if (value === undefined || value === null) {
+                if (!optional && base !== 'any') problems.push({ field, message: `"${field}" is required` });
+                continue;
+            }
+            
+            if (!matchesType(base, value)) {
+                problems.push({ field, message: `"${field}" must be ${base === 'array' || base === 'object' || base === 'integer' ? 'an' : 'a'} ${base}` });
+            }
+        }
+        
+        return problems;
+    }
+    
+    function matchesType(type, value) {
+        switch (type) {
+            case 'any': return true;
+            case 'array': return Array.isArray(value);
+            case 'object': return typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            default: return typeof value === type;
+        }
+    }
+    
+    return {
+        VERSION,
+        ERROR_CODES,
+        ACTIONS,
+        createRequest,
+        validateRequest,
+        validateResponse,
+        isCompatible,
+        errorResponse,
+        send
+    };
+})();
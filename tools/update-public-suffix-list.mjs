@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * EchoNate v2.0 - Public Suffix List Updater
+ *
+ * Rebuilds background/public-suffix-list.js from a copy of the list, including its
+ * private section. Internationalized rules are stored in punycode, the form hostnames
+ * take in URLs.
+ *
+ * Usage: node tools/update-public-suffix-list.mjs <public_suffix_list.dat>
+ *   (download from https://publicsuffix.org/list/public_suffix_list.dat)
+ *
+ * Exit codes: 0 = written, 2 = usage or read error
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { domainToASCII } from 'node:url';
+
+const OUTPUT = new URL('../background/public-suffix-list.js', import.meta.url);
+
+function parseRules(text) {
+    const rules = new Set();
+    
+    for (const line of text.split('\n')) {
+        // A rule is the first whitespace-delimited token of a line that is not a comment
+        const [token] = line.trim().split(/\s/);
+        if (!token || token.startsWith('//')) continue;
+        
+        const prefix = token.match(/^(!|\*\.)?/)[0];
+        const ascii = domainToASCII(token.slice(prefix.length));
+        if (ascii) rules.add(prefix + ascii);
+    }
+    
+    return [...rules];
+}
+
+async function main() {
+    const [file] = process.argv.slice(2);
+    
+    if (!file) {
+        console.error('Usage: node tools/update-public-suffix-list.mjs <public_suffix_list.dat>');
+        process.exit(2);
+    }
+    
+    let rules;
+    try {
+        rules = parseRules(await readFile(file, 'utf8'));
+    } catch (error) {
+        console.error(`Cannot read ${file}: ${error.message}`);
+        process.exit(2);
+    }
+    
+    await writeFile(OUTPUT, `/**
+ * EchoNate v2.0 - Public Suffix List
+ * Rules from https://publicsuffix.org/list/ (ICANN and private sections), one per line,
+ * in punycode. Generated by tools/update-public-suffix-list.mjs; do not edit by hand.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at
+ * https://mozilla.org/MPL/2.0/.
+ */
+
+export const PUBLIC_SUFFIX_RULES = \`
+${rules.join('\n')}
+\`.trim().split('\\n');
+`);
+    
+    console.log(`Wrote ${rules.length} rules to ${OUTPUT.pathname}`);
+}
+
+main();
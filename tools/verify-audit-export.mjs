@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * EchoNate v2.0 - Offline Audit Export Verifier
+ *
+ * Checks a signed audit export downloaded from the dashboard without the browser.
+ * Anyone can sign a file with a fresh key, so the signing key's fingerprint, shown on
+ * the EchoNate Settings page, is required.
+ *
+ * Usage: node tools/verify-audit-export.mjs <export.json> --fingerprint <hex>
+ *
+ * Exit codes: 0 = valid, 1 = verification failed, 2 = usage or read error
+ */
+
+import { readFile } from 'node:fs/promises';
+import { webcrypto as crypto } from 'node:crypto';
+
+const EXPORT_FORMAT = 'echonate-audit-export';
+const SUPPORTED_VERSIONS = [1];
+
+function canonicalize(value) {
+    return JSON.stringify(sortKeys(value));
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = sortKeys(value[key]);
+            return sorted;
+        }, {});
+    }
+    
+    return value;
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Buffer.from(digest).toString('hex');
+}
+
+async function verifyExport(exported, pinnedFingerprint) {
+    const failures = [];
+    const check = (ok, message) => {
+        console.log(`${ok ? '✓' : '✗'} ${message}`);
+        if (!ok) failures.push(message);
+        return ok;
+    };
+    
+    const { signature, ...payload } = exported;
+    
+    check(payload.format === EXPORT_FORMAT, `Format is ${EXPORT_FORMAT}`);
+    check(SUPPORTED_VERSIONS.includes(payload.version), `Export version ${payload.version} is supported`);
+    
+    // Key identity
+    const { crv, kty, x, y } = payload.publicKey || {};
+    const fingerprint = await sha256Hex(canonicalize({ crv, kty, x, y }));
+    check(fingerprint === payload.keyFingerprint, 'Embedded key fingerprint matches the embedded public key');
+    
+    check(fingerprint === pinnedFingerprint.toLowerCase(), 'Public key matches the expected fingerprint');
+    
+    // Signature over everything except the signature block
+    let signatureValid = false;
+    try {
+        const key = await crypto.subtle.importKey(
+            'jwk',
+            payload.publicKey,
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['verify']
+        );
+        
+        signatureValid = await crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            key,
+            Buffer.from(signature?.value || '', 'base64'),
+            new TextEncoder().encode(canonicalize(payload))
+        );
+    } catch (error) {
+        signatureValid = false;
+    }
+    check(signatureValid, 'Signature is valid');
+    
+    // Declared metadata
+    const events = Array.isArray(payload.events) ? payload.events : [];
+    check(payload.eventCount === events.length, `Event count matches (${events.length})`);
+    check(
+        payload.range?.from === (events[0]?.timestamp ?? null) &&
+        payload.range?.to === (events[events.length - 1]?.timestamp ?? null),
+        'Export range matches the first and last events'
+    );
+    
+    // Per-event hashes, and links between consecutive events
+    let brokenEvent = null;
+    for (let index = 0; index < events.length && !brokenEvent; index++) {
+        const { hash, ...content } = events[index];
+        
+        if (await sha256Hex(canonicalize(content)) !== hash) {
+            brokenEvent = `Event #${index + 1} (${events[index].id}) does not match its hash`;
+        } else if (!payload.filters && index > 0 && events[index].prevHash !== events[index - 1].hash) {
+            brokenEvent = `Event #${index + 1} (${events[index].id}) is not linked to the previous event`;
+        }
+    }
+    check(!brokenEvent, brokenEvent || 'Event hash chain is intact');
+    
+    return failures.length === 0;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const fingerprintIndex = args.indexOf('--fingerprint');
+    const pinnedFingerprint = fingerprintIndex >= 0 ? args.splice(fingerprintIndex, 2)[1] : null;
+    const [file] = args;
+    
+    if (!file || !pinnedFingerprint) {
+        console.error('Usage: node tools/verify-audit-export.mjs <export.json> --fingerprint <hex>');
+        console.error('The fingerprint of your signing key is shown on the EchoNate Settings page.');
+        process.exit(2);
+    }
+    
+    let exported;
+    try {
+        exported = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        console.error(`Cannot read ${file}: ${error.message}`);
+        process.exit(2);
+    }
+    
+    console.log(`Verifying ${file}`);
+    const valid = await verifyExport(exported, pinnedFingerprint);
+    
+    console.log(valid ? '\nExport is authentic and unmodified.' : '\nExport FAILED verification.');
+    process.exit(valid ? 0 : 1);
+}
+
+main();